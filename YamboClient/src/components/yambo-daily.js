@@ -0,0 +1,194 @@
+/**
+ * Yambo Daily Component
+ * Today's challenge: start it, see today's leaderboard and the best score
+ * of every day played before
+ */
+
+import { gameState } from '../services/game-state.js';
+import { dailyChallenge, DailyChallenge } from '../services/daily-challenge.js';
+import { escapeHtml } from '../utils/dom-helpers.js';
+
+// Days shown in the history
+const HISTORY_DAYS = 7;
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+    }
+
+    fieldset {
+      background: var(--fieldset-bg, rgba(0, 0, 0, 0.8));
+      border: var(--panel-border-width, 2px) solid var(--fieldset-border-color, #2f2727);
+      border-radius: var(--fieldset-border-radius, 10px);
+      padding: 1rem;
+      margin-bottom: 1rem;
+      color: var(--label-color, #fff);
+      font-size: 0.875rem;
+    }
+
+    legend {
+      color: var(--legend-color, #009933);
+      font-family: var(--font-family-heading, inherit);
+      padding: 0 0.5rem;
+    }
+
+    .header {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      margin-bottom: 0.75rem;
+    }
+
+    .playing {
+      color: var(--brand-color1, #009933);
+    }
+
+    button {
+      margin-left: auto;
+      padding: 0.375rem 0.75rem;
+      font-size: 0.875rem;
+      border: 1px solid #ccc;
+      border-radius: 4px;
+      background: #f8f9fa;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+
+    button:hover:not(:disabled) {
+      background: #e9ecef;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    h4 {
+      margin: 0.75rem 0 0.25rem;
+      font-size: 0.875rem;
+      font-weight: normal;
+      opacity: 0.8;
+    }
+
+    ol {
+      margin: 0;
+      padding-left: 1.5rem;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      text-align: left;
+      padding: 0.125rem 0.25rem;
+    }
+
+    th {
+      font-weight: normal;
+      opacity: 0.7;
+    }
+
+    .empty {
+      opacity: 0.7;
+    }
+  </style>
+
+  <fieldset>
+    <legend>Daily Challenge</legend>
+    <div class="header">
+      <span class="date"></span>
+      <span class="playing" hidden>playing</span>
+      <button type="button" class="btn-play" title="Same dice for everyone today">Play Today's Challenge</button>
+    </div>
+
+    <h4>Today</h4>
+    <ol class="leaderboard"></ol>
+
+    <h4>Past Days</h4>
+    <table class="history">
+      <thead>
+        <tr><th>Date</th><th>Best</th><th>Games</th></tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+  </fieldset>
+`;
+
+export class YamboDaily extends HTMLElement {
+  #dateLabel;
+  #playingLabel;
+  #playBtn;
+  #leaderboard;
+  #history;
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+  }
+
+  connectedCallback() {
+    this.#cacheElements();
+    this.#bindEvents();
+    this.#render();
+  }
+
+  #cacheElements() {
+    this.#dateLabel = this.shadowRoot.querySelector('.date');
+    this.#playingLabel = this.shadowRoot.querySelector('.playing');
+    this.#playBtn = this.shadowRoot.querySelector('.btn-play');
+    this.#leaderboard = this.shadowRoot.querySelector('.leaderboard');
+    this.#history = this.shadowRoot.querySelector('.history tbody');
+  }
+
+  #bindEvents() {
+    this.#playBtn.addEventListener('click', () => this.#play());
+
+    dailyChallenge.on('resultsChange', () => this.#render());
+    ['reset', 'load'].forEach(type => gameState.on(type, () => this.#render()));
+    gameState.on('readOnlyChange', (e) => {
+      this.#playBtn.disabled = e.detail.readOnly;
+    });
+  }
+
+  #play() {
+    const inProgress = gameState.turn > 0 || gameState.rollCount > 0 || gameState.activePlayerIndex > 0;
+    if (inProgress && !confirm("Play today's challenge? Current progress will be lost.")) return;
+
+    dailyChallenge.play();
+    this.dispatchEvent(new CustomEvent('dailystart', {
+      bubbles: true,
+      detail: { date: dailyChallenge.date }
+    }));
+  }
+
+  #render() {
+    const today = DailyChallenge.getDate();
+    this.#dateLabel.textContent = today;
+    this.#playingLabel.hidden = dailyChallenge.date !== today;
+
+    const leaderboard = dailyChallenge.getLeaderboard(today);
+    this.#leaderboard.innerHTML = leaderboard.length
+      ? leaderboard.map(r => `<li>${escapeHtml(r.name)} - ${r.score}</li>`).join('')
+      : '<li class="empty">No games yet</li>';
+
+    const history = dailyChallenge.getHistory()
+      .filter(day => day.date !== today)
+      .slice(0, HISTORY_DAYS);
+    this.#history.innerHTML = history.length
+      ? history.map(day => `
+          <tr>
+            <td>${day.date}</td>
+            <td>${escapeHtml(day.best.name)} - ${day.best.score}</td>
+            <td>${day.games}</td>
+          </tr>
+        `).join('')
+      : '<tr><td colspan="3" class="empty">No games yet</td></tr>';
+  }
+}
+
+customElements.define('yambo-daily', YamboDaily);
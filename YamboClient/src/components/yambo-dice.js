@@ -7,7 +7,8 @@ import { gameState } from '../services/game-state.js';
 import { diceEngine } from '../services/dice-engine.js';
 import { audioService } from '../services/audio-service.js';
 import { themeManager } from '../services/theme-manager.js';
-import { rollDie, stopDice } from '../utils/animation-helpers.js';
+import { hintEngine } from '../services/hint-engine.js';
+import { rollDie, rollDice, stopDice } from '../utils/animation-helpers.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -58,6 +59,11 @@ template.innerHTML = `
       box-shadow: 0 0 8px var(--brand-color1, #009933);
     }
 
+    .die.suggested {
+      outline: 2px dashed var(--brand-color1, #009933);
+      outline-offset: 3px;
+    }
+
     .roll-button-container {
       text-align: center;
     }
@@ -92,6 +98,27 @@ template.innerHTML = `
       background: var(--brand-color1, #009933);
     }
 
+    .hint-button,
+    .set-button {
+      margin-left: 0.5rem;
+      padding: 0.75rem 1rem;
+      font-size: 1rem;
+      border: 2px solid var(--brand-color1, #009933);
+      border-radius: 8px;
+      background: transparent;
+      color: var(--text-color, #fff);
+      cursor: pointer;
+    }
+
+    .hint-button:hover,
+    .set-button:hover {
+      background: var(--brand-color1, #009933);
+    }
+
+    .set-button[hidden] {
+      display: none;
+    }
+
     .dice-info {
       text-align: center;
       margin-top: 0.5rem;
@@ -103,25 +130,28 @@ template.innerHTML = `
 
   <fieldset>
     <legend>Dice</legend>
-    <div class="dice-container">
-      <button type="button" class="die" data-index="0" data-value="1"></button>
-      <button type="button" class="die" data-index="1" data-value="2"></button>
-      <button type="button" class="die" data-index="2" data-value="3"></button>
-      <button type="button" class="die" data-index="3" data-value="4"></button>
-      <button type="button" class="die" data-index="4" data-value="5"></button>
-    </div>
+    <div class="dice-container"></div>
     <div class="roll-button-container">
       <button type="button" class="roll-button">Roll Dice</button>
+      <button type="button" class="hint-button" title="What should I keep?">?</button>
+      <button type="button" class="set-button" title="Type the dice to play (practice)" hidden>Set Dice...</button>
     </div>
     <div class="dice-info">Click dice to hold them</div>
   </fieldset>
 `;
 
 export class YamboDice extends HTMLElement {
+  #diceContainer;
   #dice;
   #rollButton;
+  #hintButton;
+  #setButton;
+  #legend;
   #infoText;
+  // Rolling lasts from the press of the button until the dice settle; juggling until it is let go
   #isRolling = false;
+  #isJuggling = false;
+  #rollPending = false;
   #juggleTime = 200;
 
   constructor() {
@@ -132,20 +162,36 @@ export class YamboDice extends HTMLElement {
 
   connectedCallback() {
     this.#cacheElements();
+    this.#buildDice();
     this.#bindEvents();
-    this.#updateDiceDisplay();
   }
 
   #cacheElements() {
-    this.#dice = [...this.shadowRoot.querySelectorAll('.die')];
+    this.#diceContainer = this.shadowRoot.querySelector('.dice-container');
     this.#rollButton = this.shadowRoot.querySelector('.roll-button');
+    this.#hintButton = this.shadowRoot.querySelector('.hint-button');
+    this.#setButton = this.shadowRoot.querySelector('.set-button');
+    this.#legend = this.shadowRoot.querySelector('legend');
     this.#infoText = this.shadowRoot.querySelector('.dice-info');
   }
 
+  #buildDice() {
+    // One die per ruleset die, showing the current game state values
+    this.#diceContainer.innerHTML = gameState.diceValues
+      .map((value, i) => `<button type="button" class="die" data-index="${i}" data-value="${value}"></button>`)
+      .join('');
+    this.#dice = [...this.#diceContainer.querySelectorAll('.die')];
+    this.#updateDiceDisplay();
+    this.#showPractice();
+  }
+
   #bindEvents() {
     // Dice click - toggle hold
-    this.#dice.forEach(die => {
-      die.addEventListener('click', (e) => this.#handleDieClick(e));
+    this.#diceContainer.addEventListener('click', (e) => {
+      const die = e.target.closest('.die');
+      if (die) {
+        this.#handleDieClick(die, e);
+      }
     });
 
     // Roll button - mousedown starts, mouseup ends
@@ -159,19 +205,58 @@ export class YamboDice extends HTMLElement {
     });
     this.#rollButton.addEventListener('touchend', () => this.#endRoll());
 
+    // Hint button - highlight the dice worth keeping
+    this.#hintButton.addEventListener('click', () => this.showHint());
+
+    // Practice games: type the dice in
+    this.#setButton.addEventListener('click', () => this.#promptDice());
+
     // Listen for game state changes
     gameState.on('reset', () => this.#reset());
+    gameState.on('restore', () => this.#reset());
+    gameState.on('diceChange', (e) => {
+      // Dice set from outside a roll (computer players)
+      if (!this.#isRolling) this.#showValues(e.detail.values);
+    });
+    gameState.on('turnChange', () => {
+      this.clearHint();
+      this.#cancelRoll();
+    });
+    gameState.on('rulesetChange', () => this.#buildDice());
+    gameState.on('practiceChange', () => this.#showPractice());
     gameState.on('rollChange', () => this.#updateButtonText());
+    gameState.on('announce', () => this.#updateButtonText());
+
+    // Replays show the dice without letting them be played
+    gameState.on('readOnlyChange', (e) => {
+      this.#rollButton.disabled = e.detail.readOnly;
+      this.#hintButton.disabled = e.detail.readOnly;
+      this.#setButton.disabled = e.detail.readOnly;
+      this.clearHint();
+    });
 
     // Listen for dice color changes
     themeManager.on('diceColorChange', () => this.#updateDiceDisplay());
   }
 
-  #handleDieClick(e) {
-    if (this.#isRolling) return;
+  #handleDieClick(die, e) {
+    if (this.#isRolling || gameState.isReadOnly) return;
 
-    const die = e.currentTarget;
     const index = parseInt(die.dataset.index, 10);
+
+    // Practice games: Alt+click turns a die to its next face, Alt+Shift+click to the previous one
+    if (e.altKey && gameState.isPractice) {
+      const { faces } = gameState.ruleset.dice;
+      const values = gameState.diceValues;
+      values[index] = ((values[index] - 1 + (e.shiftKey ? faces - 1 : 1)) % faces) + 1;
+      try {
+        this.#setDice(values);
+      } catch (error) {
+        audioService.playError();
+      }
+      return;
+    }
+
     const isHeld = die.classList.toggle('held');
 
     gameState.setHold(index, isHeld);
@@ -200,13 +285,16 @@ export class YamboDice extends HTMLElement {
 
     if (this.#isRolling) return;
 
-    if (!gameState.canRoll) {
+    if (!gameState.canRoll || gameState.isReadOnly) {
       audioService.playError();
       return;
     }
 
     this.#isRolling = true;
+    this.#isJuggling = true;
+    this.#rollPending = true;
     this.#rollButton.classList.add('rolling');
+    this.clearHint();
 
     // Start juggle sound
     audioService.startJuggle();
@@ -223,37 +311,41 @@ export class YamboDice extends HTMLElement {
   }
 
   async #endRoll() {
-    if (!this.#isRolling) return;
+    if (!this.#isJuggling) return;
 
-    this.#isRolling = false;
+    this.#isJuggling = false;
     audioService.stopJuggle();
 
+    // Let the dice engine decide the outcome before anything is animated
+    const held = gameState.diceHeld;
+    const newValues = diceEngine.rollUnheld(gameState.diceValues, held);
+
     // Get unheld dice
-    const unheldDice = this.#dice.filter((_, i) => !gameState.isHeld(i));
+    const unheldDice = this.#dice.filter((_, i) => !held[i]);
 
-    // Stop animations and get final values
+    // Stop juggling
     stopDice(unheldDice);
 
-    // Roll each unheld die with final animation
-    const rollPromises = unheldDice.map(die => {
-      return new Promise(resolve => {
-        rollDie(die, {
-          colorOffset: themeManager.diceColorOffset,
-          keepJuggling: false,
-          duration: this.#juggleTime
-        }, (value) => {
-          die.dataset.value = value;
-          resolve(value);
-        });
-      });
-    });
+    // Animate each unheld die towards its rolled face
+    await rollDice(
+      unheldDice,
+      unheldDice.map(die => newValues[parseInt(die.dataset.index, 10)]),
+      {
+        colorOffset: themeManager.diceColorOffset,
+        duration: this.#juggleTime
+      }
+    );
+    this.#isRolling = false;
 
-    await Promise.all(rollPromises);
+    // The turn may have been played meanwhile (timed turns running out)
+    if (!this.#rollPending) {
+      this.#showValues(gameState.diceValues);
+      return;
+    }
+    this.#rollPending = false;
 
     // Update game state with new values
-    const newValues = this.#dice.map(d => parseInt(d.dataset.value, 10));
-    gameState.diceValues = newValues;
-    gameState.incrementRoll();
+    gameState.roll(newValues);
 
     // Play roll sound
     audioService.playRoll();
@@ -272,6 +364,69 @@ export class YamboDice extends HTMLElement {
     }));
   }
 
+  /**
+   * Drop a roll in progress: the dice go back to the game's values
+   */
+  #cancelRoll() {
+    if (!this.#rollPending) return;
+
+    // Dice already on their way to a face stop rolling once they land (see #endRoll())
+    const juggling = this.#isJuggling;
+    this.#isJuggling = false;
+    this.#rollPending = false;
+    this.#rollButton.classList.remove('rolling');
+    if (juggling) {
+      this.#isRolling = false;
+      audioService.stopJuggle();
+      stopDice(this.#dice.filter((_, i) => !gameState.isHeld(i)));
+    }
+    this.#showValues(gameState.diceValues);
+  }
+
+  // ==========================================================================
+  // Practice Mode
+  // ==========================================================================
+
+  /**
+   * Ask for the dice to play, e.g. "3 3 4 4 6"
+   */
+  #promptDice() {
+    if (this.#isRolling || gameState.isReadOnly || !gameState.isPractice) return;
+
+    const { count, faces } = gameState.ruleset.dice;
+    const input = prompt(`Dice to play (${count} values from 1 to ${faces}):`, gameState.diceValues.join(' '));
+    if (input === null) return;
+
+    try {
+      this.#setDice(input.trim().split(/[\s,:]+/).map(Number));
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not set the dice\n${e.message}`);
+    }
+  }
+
+  /**
+   * Play dice set by hand, as if they had been rolled
+   * @param {number[]} values
+   * @throws {Error} When the rules don't allow it (see GameState.setRoll())
+   */
+  #setDice(values) {
+    gameState.setRoll(values);
+    audioService.play('select3');
+    this.clearHint();
+    this.#checkCombinations(values);
+  }
+
+  /**
+   * Show whether the dice can be set by hand
+   */
+  #showPractice() {
+    const practice = gameState.isPractice;
+    this.#legend.textContent = practice ? 'Dice (Practice)' : 'Dice';
+    this.#setButton.hidden = !practice;
+    this.clearHint();
+  }
+
   #checkCombinations(values) {
     const combos = diceEngine.getCombinations(values);
 
@@ -302,7 +457,9 @@ export class YamboDice extends HTMLElement {
 
   #updateButtonText() {
     const roll = gameState.rollCount;
-    if (roll === 0) {
+    if (gameState.sheet.needsAnnouncement(roll)) {
+      this.#rollButton.textContent = 'Announce a Row';
+    } else if (roll === 0) {
       this.#rollButton.textContent = 'Roll Dice';
     } else if (roll === 1) {
       this.#rollButton.textContent = '2nd Roll';
@@ -322,14 +479,23 @@ export class YamboDice extends HTMLElement {
     });
   }
 
+  #showValues(values) {
+    this.#dice.forEach((die, i) => {
+      die.dataset.value = values[i];
+    });
+    this.#updateDiceDisplay();
+  }
+
   #reset() {
-    // Reset all dice
+    // Show the dice and holds of the game state (new game, undo, redo)
+    const values = gameState.diceValues;
     this.#dice.forEach((die, i) => {
-      die.dataset.value = i + 1;
-      die.classList.remove('held');
+      die.dataset.value = values[i];
+      die.classList.toggle('held', gameState.isHeld(i));
     });
     this.#updateDiceDisplay();
     this.#updateButtonText();
+    this.clearHint();
   }
 
   // ==========================================================================
@@ -345,17 +511,13 @@ export class YamboDice extends HTMLElement {
   }
 
   /**
-   * Set dice values
+   * Set dice values by hand, as if they had been rolled (practice games only)
+   * The dice show them once the game state has taken them
    * @param {number[]} values
+   * @throws {Error} Outside practice games, or when the values are not valid dice
    */
   set values(values) {
-    values.forEach((val, i) => {
-      if (this.#dice[i]) {
-        this.#dice[i].dataset.value = val;
-      }
-    });
-    this.#updateDiceDisplay();
-    gameState.diceValues = values;
+    this.#setDice(values);
   }
 
   /**
@@ -415,6 +577,69 @@ export class YamboDice extends HTMLElement {
     return this.#juggleTime;
   }
 
+  /**
+   * Highlight the dice the hint engine recommends holding
+   * @returns {Object|null} Recommendation, or null when there is nothing to advise
+   */
+  showHint() {
+    const rollCount = gameState.rollCount;
+    if (this.#isRolling || rollCount === 0 || gameState.isGameOver || gameState.isReadOnly) {
+      audioService.playError();
+      return null;
+    }
+
+    const sheet = gameState.sheet;
+    const hint = hintEngine.recommendHolds(sheet, gameState.diceValues, rollCount, gameState.maxRollsForTurn);
+
+    this.#dice.forEach((die, i) => {
+      die.classList.toggle('suggested', !hint.placeNow && hint.held[i]);
+    });
+
+    if (hint.placeNow && hint.bestMove) {
+      const { column, row } = hint.bestMove;
+      this.#infoText.textContent = `Save now: ${sheet.getRow(row).label} in column ${sheet.getColumn(column).label}`;
+    } else {
+      this.#infoText.textContent = 'Hold the highlighted dice';
+    }
+
+    return hint;
+  }
+
+  /**
+   * Remove hint highlights
+   */
+  clearHint() {
+    this.#dice?.forEach(die => die.classList.remove('suggested'));
+    if (this.#infoText) {
+      this.#infoText.textContent = gameState.isPractice
+        ? 'Click dice to hold them, Alt+click to change them'
+        : 'Click dice to hold them';
+    }
+  }
+
+  /**
+   * Animate a recorded roll: the unheld dice tumble onto their values
+   * Only the display changes, the game state is left alone (replays)
+   * @param {number[]} values - Dice after the roll
+   * @param {boolean[]} held - Dice held going into the roll
+   * @returns {Promise<void>} Resolves when the dice have stopped
+   */
+  async showRoll(values, held) {
+    this.#dice.forEach((die, i) => die.classList.toggle('held', held[i]));
+    const unheldDice = this.#dice.filter((_, i) => !held[i]);
+
+    stopDice(unheldDice);
+    await rollDice(
+      unheldDice,
+      unheldDice.map(die => values[parseInt(die.dataset.index, 10)]),
+      {
+        colorOffset: themeManager.diceColorOffset,
+        duration: this.#juggleTime
+      }
+    );
+    this.#showValues(values);
+  }
+
   /**
    * Clear all held dice
    */
@@ -5,6 +5,8 @@
 
 import { gameState } from '../services/game-state.js';
 import { audioService } from '../services/audio-service.js';
+import { turnTimer } from '../services/turn-timer.js';
+import { escapeHtml } from '../utils/dom-helpers.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -58,6 +60,12 @@ template.innerHTML = `
       cursor: default;
     }
 
+    input.countdown.warning {
+      background: #ff6a00;
+      color: #fff;
+      font-weight: bold;
+    }
+
     .message-area {
       height: 120px;
       overflow-y: auto;
@@ -82,6 +90,10 @@ template.innerHTML = `
         <label for="clock">Time</label>
         <input type="text" id="clock" class="clock" readonly />
       </div>
+      <div class="form-group countdown-group" hidden>
+        <label for="countdown">Turn Timer</label>
+        <input type="text" id="countdown" class="countdown" readonly />
+      </div>
     </div>
     <div class="message-area"></div>
   </fieldset>
@@ -91,6 +103,8 @@ export class YamboLog extends HTMLElement {
   #clockInterval = null;
   #turnInput;
   #clockInput;
+  #countdownGroup;
+  #countdownInput;
   #messageArea;
 
   constructor() {
@@ -114,6 +128,8 @@ export class YamboLog extends HTMLElement {
   #cacheElements() {
     this.#turnInput = this.shadowRoot.querySelector('.turn');
     this.#clockInput = this.shadowRoot.querySelector('.clock');
+    this.#countdownGroup = this.shadowRoot.querySelector('.countdown-group');
+    this.#countdownInput = this.shadowRoot.querySelector('.countdown');
     this.#messageArea = this.shadowRoot.querySelector('.message-area');
   }
 
@@ -127,10 +143,33 @@ export class YamboLog extends HTMLElement {
       this.#turnInput.value = e.detail.rollCount;
     });
 
+    gameState.on('restore', (e) => {
+      this.#turnInput.value = e.detail.rollCount;
+    });
+
+    gameState.on('undo', () => this.logUndo('Undo'));
+    gameState.on('redo', () => this.logUndo('Redo'));
+
     gameState.on('reset', () => {
       this.#turnInput.value = 0;
       this.#messageArea.innerHTML = '';
     });
+
+    // Timed turns: the countdown, with the clock sounding in the last seconds
+    turnTimer.on('tick', (e) => {
+      const { remaining, warning } = e.detail;
+      this.#countdownGroup.hidden = false;
+      this.#countdownInput.value = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+      this.#countdownInput.classList.toggle('warning', warning);
+      if (warning && remaining > 0) {
+        audioService.playTimer();
+      }
+    });
+
+    turnTimer.on('stop', () => {
+      this.#countdownGroup.hidden = true;
+      this.#countdownInput.classList.remove('warning');
+    });
   }
 
   #startClock() {
@@ -238,6 +277,31 @@ export class YamboLog extends HTMLElement {
     });
   }
 
+  /**
+   * Log dice set by hand (practice games)
+   * @param {number[]} diceValues
+   */
+  logDiceSet(diceValues) {
+    this.addMessage({
+      message: `Dice set (${diceValues.join(' : ')})`,
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log the start of a practice game
+   */
+  logPractice() {
+    this.addMessage({
+      message: ' -- Practice game: Alt+click a die or use Set Dice... --',
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
   /**
    * Log a combination message
    * @param {string} comboName - Name of the combination
@@ -258,8 +322,132 @@ export class YamboLog extends HTMLElement {
    */
   logSave(cellName, score) {
     this.addMessage({
-      message: `Saved ${score} to ${cellName}`,
+      message: `Saved ${score} to ${escapeHtml(cellName)}`,
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log an announcement (announce columns)
+   * @param {string} cellName - Name of the announced cell, with its column
+   */
+  logAnnounce(cellName) {
+    this.addMessage({
+      message: `Announced ${escapeHtml(cellName)}`,
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log a scratched column
+   * @param {string} columnName - Label of the column
+   * @param {number} cells - Open cells crossed out
+   */
+  logColumnScratch(columnName, cells) {
+    this.addMessage({
+      message: `Scratched column ${escapeHtml(columnName)} (${cells} × 0)`,
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log a turn that ran out of time
+   * @param {string} policy - What the timer does then (see TurnTimer.POLICIES)
+   */
+  logTimeout(policy) {
+    this.addMessage({
+      message: ` -- Time's up: ${policy === 'scratch' ? 'scratching a cell' : 'saving the best cell'} --`,
       isTimed: true,
+      isError: true,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log an undo or redo
+   * @param {string} action - 'Undo' or 'Redo'
+   */
+  logUndo(action) {
+    this.addMessage({
+      message: ` -- ${action} --`,
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log whose turn it is (hot-seat games)
+   * @param {string} name - Player name
+   */
+  logPlayerTurn(name) {
+    this.addMessage({
+      message: ` -- ${escapeHtml(name)} to play --`,
+      isTimed: false,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log the turn of a computer player
+   * @param {string} name - Player name
+   * @param {Object} turn - Turn played (see AiPlayer.playTurn())
+   * @param {RulesEngine} sheet - Sheet the turn was played on
+   */
+  logAiTurn(name, turn, sheet) {
+    const { rolls, announced, move } = turn;
+    const describe = ({ column, row }) => escapeHtml(`${sheet.getRow(row).label} (${sheet.getColumn(column).label})`);
+    const dice = rolls.map(roll => `(${roll.values.join(' : ')})`);
+    if (announced) {
+      dice[0] += ` announced ${describe(announced)}`;
+    }
+    const cell = describe(move);
+    const action = move.scratch ? `scratched ${cell}` : `saved ${move.score} to ${cell}`;
+
+    this.addMessage({
+      message: `${escapeHtml(name)}: ${dice.join(' &rarr; ')} ${action}`,
+      isTimed: true,
+      isError: false,
+      isNewline: true
+    });
+  }
+
+  /**
+   * Log a recorded move (replays)
+   * @param {Object} move - Roll, setRoll, announce, place or scratchColumn move (see README "Game Records")
+   * @param {string} name - Name of the player who made it
+   * @param {RulesEngine} sheet - Sheet with the row and column labels
+   */
+  logMove(move, name, sheet) {
+    const cell = () => escapeHtml(`${sheet.getRow(move.row).label} (${sheet.getColumn(move.column).label})`);
+    let action;
+    switch (move.type) {
+      case 'roll':
+        action = `rolled (${move.values.join(' : ')})`;
+        break;
+      case 'setRoll':
+        action = `set the dice (${move.values.join(' : ')})`;
+        break;
+      case 'announce':
+        action = `announced ${cell()}`;
+        break;
+      case 'place':
+        action = `saved ${move.score} to ${cell()}`;
+        break;
+      default:
+        action = `scratched column ${escapeHtml(sheet.getColumn(move.column).label)}`;
+    }
+
+    this.addMessage({
+      message: `${escapeHtml(name)} ${action}`,
+      isTimed: false,
       isError: false,
       isNewline: true
     });
@@ -280,14 +468,21 @@ export class YamboLog extends HTMLElement {
 
   /**
    * Log game over
+   * @param {Object} [card] - Result card (see services/result-card.js)
    */
-  logGameOver() {
+  logGameOver(card) {
     this.addMessage({
       message: ' -- GAME OVER --',
       isTimed: false,
       isError: true,
       isNewline: true
     });
+
+    // Solo games end on the final score, matches log their points instead
+    if (card?.players.length === 1) {
+      const { total, bonuses, yambos } = card.players[0];
+      this.addMessage({ message: `Final score: ${total} (bonuses: ${bonuses}, Yambos: ${yambos})` });
+    }
   }
 
   #scrollToBottom() {
@@ -3,9 +3,14 @@
  * Player settings, theme selection, dice color, sound controls
  */
 
-import { gameState } from '../services/game-state.js';
+import { gameState, GameState } from '../services/game-state.js';
 import { themeManager, ThemeManager } from '../services/theme-manager.js';
 import { audioService } from '../services/audio-service.js';
+import { RULESETS, SCORING_PRESETS, parseRuleset, applyScoringPreset, isSameRuleset } from '../services/ruleset.js';
+import { TurnTimer, turnTimer } from '../services/turn-timer.js';
+import { AiPlayer } from '../services/ai-player.js';
+import { saveManager } from '../services/save-manager.js';
+import { escapeHtml } from '../utils/dom-helpers.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -90,6 +95,34 @@ template.innerHTML = `
       margin: 0;
     }
 
+    .player-list {
+      margin: 0 0 0.5rem;
+      padding-left: 1.5rem;
+      color: var(--label-color, #fff);
+      font-size: 0.875rem;
+    }
+
+    .player-list li {
+      margin-bottom: 0.25rem;
+    }
+
+    .player-list li.active {
+      color: var(--brand-color1, #009933);
+    }
+
+    .player-list .player-name {
+      cursor: pointer;
+    }
+
+    .player-list small {
+      opacity: 0.7;
+    }
+
+    .player-list button {
+      padding: 0 0.375rem;
+      margin-left: 0.5rem;
+    }
+
     hr {
       border: none;
       border-top: 1px solid var(--fieldset-border-color, #2f2727);
@@ -101,15 +134,78 @@ template.innerHTML = `
   <fieldset>
     <legend>Options</legend>
 
-    <!-- Player Name -->
+    <!-- Players -->
     <div class="form-group">
+      <label>Players</label>
+      <ol class="player-list"></ol>
       <div class="form-row">
         <div class="form-group">
           <label for="playerName">Player Name</label>
           <input type="text" id="playerName" placeholder="Enter name..." />
         </div>
-        <button type="button" class="btn-add-player">Set</button>
+        <div class="form-group">
+          <label for="playerType">Type</label>
+          <select id="playerType"></select>
+        </div>
+        <button type="button" class="btn-add-player">Add</button>
+      </div>
+    </div>
+
+    <div class="form-group">
+      <label for="undoPolicy">Multiplayer Undo</label>
+      <select id="undoPolicy">
+        <option value="roll" selected>Until the next roll</option>
+        <option value="turn">Only your own moves</option>
+        <option value="off">Off</option>
+      </select>
+    </div>
+
+    <div class="form-row">
+      <div class="form-group">
+        <label for="turnTime">Turn Timer</label>
+        <select id="turnTime"></select>
+      </div>
+      <div class="form-group">
+        <label for="timeoutPolicy">When Time Runs Out</label>
+        <select id="timeoutPolicy">
+          <option value="place" selected>Save the best cell</option>
+          <option value="scratch">Scratch a cell</option>
+        </select>
+      </div>
+    </div>
+
+    <hr />
+
+    <!-- Saved Games -->
+    <div class="form-group">
+      <div class="form-row">
+        <div class="form-group">
+          <label for="saveSlot">Saved Games</label>
+          <select id="saveSlot"></select>
+        </div>
+        <button type="button" class="btn-load-slot">Load</button>
+        <button type="button" class="btn-delete-slot">Delete</button>
+      </div>
+      <button type="button" class="btn-save-slot">Save Game As...</button>
+    </div>
+
+    <hr />
+
+    <!-- Rules -->
+    <div class="form-group">
+      <div class="form-row">
+        <div class="form-group">
+          <label for="ruleset">Rules</label>
+          <select id="ruleset"></select>
+        </div>
+        <button type="button" class="btn-load-ruleset">Load...</button>
       </div>
+      <input type="file" id="rulesetFile" accept=".json,application/json" hidden />
+    </div>
+
+    <div class="form-group">
+      <label for="scoring">Scoring</label>
+      <select id="scoring" title="Full House, Straight and Yambo scores"></select>
     </div>
 
     <hr />
@@ -162,17 +258,40 @@ template.innerHTML = `
         <label for="tooltipsEnabled">Tooltips</label>
       </div>
     </div>
+
+    <!-- Odds -->
+    <div class="form-group">
+      <div class="checkbox-group">
+        <input type="checkbox" id="oddsEnabled" />
+        <label for="oddsEnabled">Show Odds</label>
+      </div>
+    </div>
   </fieldset>
 `;
 
 export class YamboOptions extends HTMLElement {
+  #playerList;
   #playerNameInput;
+  #playerTypeSelect;
   #addPlayerBtn;
+  #rulesetSelect;
+  #scoringSelect;
+  #rulesetFileInput;
+  #loadRulesetBtn;
+  #undoPolicySelect;
+  #turnTimeSelect;
+  #timeoutPolicySelect;
+  #saveSlotSelect;
+  #loadSlotBtn;
+  #deleteSlotBtn;
+  #saveSlotBtn;
+  #rulesets = [...RULESETS];
   #themeSelect;
   #diceColorSelect;
   #juggleTimeSelect;
   #soundCheckbox;
   #tooltipsCheckbox;
+  #oddsCheckbox;
 
   constructor() {
     super();
@@ -183,18 +302,37 @@ export class YamboOptions extends HTMLElement {
   connectedCallback() {
     this.#cacheElements();
     this.#populateThemes();
+    this.#populateRulesets();
+    this.#populateTurnTimes();
+    this.#populatePlayerTypes();
+    this.#populateSaveSlots();
     this.#loadSettings();
+    this.#renderPlayers();
     this.#bindEvents();
   }
 
   #cacheElements() {
+    this.#playerList = this.shadowRoot.querySelector('.player-list');
     this.#playerNameInput = this.shadowRoot.querySelector('#playerName');
+    this.#playerTypeSelect = this.shadowRoot.querySelector('#playerType');
     this.#addPlayerBtn = this.shadowRoot.querySelector('.btn-add-player');
+    this.#undoPolicySelect = this.shadowRoot.querySelector('#undoPolicy');
+    this.#turnTimeSelect = this.shadowRoot.querySelector('#turnTime');
+    this.#timeoutPolicySelect = this.shadowRoot.querySelector('#timeoutPolicy');
+    this.#saveSlotSelect = this.shadowRoot.querySelector('#saveSlot');
+    this.#loadSlotBtn = this.shadowRoot.querySelector('.btn-load-slot');
+    this.#deleteSlotBtn = this.shadowRoot.querySelector('.btn-delete-slot');
+    this.#saveSlotBtn = this.shadowRoot.querySelector('.btn-save-slot');
+    this.#rulesetSelect = this.shadowRoot.querySelector('#ruleset');
+    this.#scoringSelect = this.shadowRoot.querySelector('#scoring');
+    this.#rulesetFileInput = this.shadowRoot.querySelector('#rulesetFile');
+    this.#loadRulesetBtn = this.shadowRoot.querySelector('.btn-load-ruleset');
     this.#themeSelect = this.shadowRoot.querySelector('#theme');
     this.#diceColorSelect = this.shadowRoot.querySelector('#diceColor');
     this.#juggleTimeSelect = this.shadowRoot.querySelector('#juggleTime');
     this.#soundCheckbox = this.shadowRoot.querySelector('#soundEnabled');
     this.#tooltipsCheckbox = this.shadowRoot.querySelector('#tooltipsEnabled');
+    this.#oddsCheckbox = this.shadowRoot.querySelector('#oddsEnabled');
   }
 
   #populateThemes() {
@@ -204,6 +342,83 @@ export class YamboOptions extends HTMLElement {
       .join('');
   }
 
+  #populateRulesets() {
+    this.#rulesetSelect.innerHTML = this.#rulesets
+      .map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)}</option>`)
+      .join('');
+    this.#scoringSelect.innerHTML = [
+      '<option value="">As the rules say</option>',
+      ...SCORING_PRESETS.map(p => `<option value="${p.id}">${p.name}</option>`)
+    ].join('');
+    this.#showRuleset();
+  }
+
+  // Rules with a scoring preset are listed as the rules they started from
+  #addRuleset(ruleset) {
+    if (ruleset.preset && this.#rulesets.some(r => r.id === ruleset.preset.base)) {
+      this.#showRuleset();
+      return;
+    }
+    this.#rulesets = [...this.#rulesets.filter(r => r.id !== ruleset.id), ruleset];
+    this.#populateRulesets();
+  }
+
+  #showRuleset() {
+    const { id, preset } = gameState.ruleset;
+    const listed = preset && this.#rulesets.some(r => r.id === preset.base);
+    this.#rulesetSelect.value = listed ? preset.base : id;
+    this.#scoringSelect.value = listed ? preset.id : '';
+  }
+
+  // The rules picked, scored by the preset picked
+  #getSelectedRuleset() {
+    const ruleset = this.#rulesets.find(r => r.id === this.#rulesetSelect.value);
+    const presetId = this.#scoringSelect.value;
+    return ruleset && presetId ? applyScoringPreset(ruleset, presetId) : ruleset;
+  }
+
+  #populateTurnTimes() {
+    const describe = (seconds) => {
+      if (seconds === 0) return 'Off';
+      return seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+    };
+    this.#turnTimeSelect.innerHTML = TurnTimer.DURATIONS
+      .map(seconds => `<option value="${seconds}">${describe(seconds)}</option>`)
+      .join('');
+    this.#turnTimeSelect.value = turnTimer.seconds;
+  }
+
+  #populatePlayerTypes() {
+    this.#playerTypeSelect.innerHTML = '<option value="">Human</option>' + AiPlayer.DIFFICULTIES
+      .map(d => `<option value="${d}">Computer (${AiPlayer.LABELS[d]})</option>`)
+      .join('');
+  }
+
+  #populateSaveSlots() {
+    const slots = saveManager.listSlots();
+    this.#saveSlotSelect.innerHTML = slots
+      .map(s => `<option value="${escapeHtml(s.name)}">${escapeHtml(s.name)} - turn ${s.turn + 1}, ${escapeHtml(s.players.join(', '))}</option>`)
+      .join('');
+    this.#loadSlotBtn.disabled = slots.length === 0;
+    this.#deleteSlotBtn.disabled = slots.length === 0;
+  }
+
+  #renderPlayers() {
+    const players = gameState.players;
+    const humans = players.filter(p => !p.ai).length;
+
+    this.#playerList.innerHTML = players.map((p, i) => `
+      <li class="${i === gameState.activePlayerIndex ? 'active' : ''}">
+        <span class="player-name" data-index="${i}" title="Click to rename">${escapeHtml(p.name)}</span>
+        ${p.ai && p.name !== p.ai.name ? `<small>Computer (${AiPlayer.LABELS[p.ai.difficulty]})</small>` : ''}
+        <button type="button" class="btn-remove-player" data-index="${i}" title="Remove player"
+          ${players.length === 1 || (!p.ai && humans === 1) ? 'disabled' : ''}>&times;</button>
+      </li>
+    `).join('');
+
+    this.#addPlayerBtn.disabled = players.length >= GameState.MAX_PLAYERS;
+  }
+
   #loadSettings() {
     // Load theme
     this.#themeSelect.value = themeManager.theme;
@@ -225,6 +440,31 @@ export class YamboOptions extends HTMLElement {
         if (options.tooltipsEnabled !== undefined) {
           this.#tooltipsCheckbox.checked = options.tooltipsEnabled;
         }
+        if (options.oddsEnabled !== undefined) {
+          this.#oddsCheckbox.checked = options.oddsEnabled;
+        }
+        if (options.ruleset) {
+          const ruleset = parseRuleset(options.ruleset);
+          if (ruleset.id !== gameState.ruleset.id) {
+            gameState.ruleset = ruleset;
+          }
+          this.#addRuleset(ruleset);
+        }
+        if (TurnTimer.DURATIONS.includes(options.turnTime)) {
+          turnTimer.seconds = options.turnTime;
+          this.#turnTimeSelect.value = options.turnTime;
+        }
+        if (TurnTimer.POLICIES.includes(options.timeoutPolicy)) {
+          turnTimer.policy = options.timeoutPolicy;
+          this.#timeoutPolicySelect.value = options.timeoutPolicy;
+        }
+        if (GameState.UNDO_POLICIES.includes(options.undoPolicy)) {
+          gameState.undoPolicy = options.undoPolicy;
+          this.#undoPolicySelect.value = options.undoPolicy;
+        }
+        if (Array.isArray(options.players)) {
+          gameState.setPlayers(options.players);
+        }
       }
     } catch (e) {
       console.warn('Failed to load options:', e);
@@ -235,7 +475,13 @@ export class YamboOptions extends HTMLElement {
     try {
       localStorage.setItem('yambo-options', JSON.stringify({
         juggleTime: this.#juggleTimeSelect.value,
-        tooltipsEnabled: this.#tooltipsCheckbox.checked
+        tooltipsEnabled: this.#tooltipsCheckbox.checked,
+        oddsEnabled: this.#oddsCheckbox.checked,
+        ruleset: gameState.ruleset,
+        players: gameState.players.map(p => ({ name: p.name, difficulty: p.ai?.difficulty ?? null })),
+        undoPolicy: gameState.undoPolicy,
+        turnTime: turnTimer.seconds,
+        timeoutPolicy: turnTimer.policy
       }));
     } catch (e) {
       console.warn('Failed to save options:', e);
@@ -243,12 +489,61 @@ export class YamboOptions extends HTMLElement {
   }
 
   #bindEvents() {
-    // Player name
-    this.#addPlayerBtn.addEventListener('click', () => this.#setPlayerName());
+    // Players
+    this.#addPlayerBtn.addEventListener('click', () => this.#addPlayer());
     this.#playerNameInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.#setPlayerName();
+      if (e.key === 'Enter') this.#addPlayer();
+    });
+    this.#playerList.addEventListener('click', (e) => {
+      const remove = e.target.closest('.btn-remove-player');
+      const name = e.target.closest('.player-name');
+      if (remove) this.#removePlayer(parseInt(remove.dataset.index, 10));
+      if (name) this.#renamePlayer(parseInt(name.dataset.index, 10));
+    });
+    gameState.on('playersChange', () => this.#renderPlayers());
+    gameState.on('playerNameChange', () => this.#renderPlayers());
+    gameState.on('playerChange', () => this.#renderPlayers());
+    gameState.on('reset', () => this.#renderPlayers());
+    gameState.on('restore', () => this.#renderPlayers());
+
+    // Saved games
+    this.#saveSlotBtn.addEventListener('click', () => this.#saveGame());
+    this.#loadSlotBtn.addEventListener('click', () => this.#loadGame(this.#saveSlotSelect.value));
+    this.#deleteSlotBtn.addEventListener('click', () => this.#deleteGame(this.#saveSlotSelect.value));
+    saveManager.on('slotsChange', () => this.#populateSaveSlots());
+
+    // A replay is not a game to save, nor one to load over
+    gameState.on('readOnlyChange', (e) => {
+      this.#saveSlotBtn.disabled = e.detail.readOnly;
+      this.#loadSlotBtn.disabled = e.detail.readOnly;
+    });
+    gameState.on('rulesetChange', (e) => this.#addRuleset(e.detail.ruleset));
+
+    this.#undoPolicySelect.addEventListener('change', () => {
+      gameState.undoPolicy = this.#undoPolicySelect.value;
+      this.#saveSettings();
+      this.#emitChange('undoPolicy', gameState.undoPolicy);
     });
 
+    // Timed turns
+    this.#turnTimeSelect.addEventListener('change', () => {
+      turnTimer.seconds = parseInt(this.#turnTimeSelect.value, 10);
+      this.#saveSettings();
+      this.#emitChange('turnTime', turnTimer.seconds);
+    });
+    this.#timeoutPolicySelect.addEventListener('change', () => {
+      turnTimer.policy = this.#timeoutPolicySelect.value;
+      this.#saveSettings();
+      this.#emitChange('timeoutPolicy', turnTimer.policy);
+    });
+
+    // Rules
+    [this.#rulesetSelect, this.#scoringSelect].forEach(select => {
+      select.addEventListener('change', () => this.#setRuleset(this.#getSelectedRuleset()));
+    });
+    this.#loadRulesetBtn.addEventListener('click', () => this.#rulesetFileInput.click());
+    this.#rulesetFileInput.addEventListener('change', () => this.#loadRulesetFile());
+
     // Theme
     this.#themeSelect.addEventListener('change', () => {
       themeManager.theme = this.#themeSelect.value;
@@ -278,14 +573,123 @@ export class YamboOptions extends HTMLElement {
       this.#saveSettings();
       this.#emitChange('tooltips', this.#tooltipsCheckbox.checked);
     });
+
+    // Odds
+    this.#oddsCheckbox.addEventListener('change', () => {
+      this.#saveSettings();
+      this.#emitChange('odds', this.#oddsCheckbox.checked);
+    });
   }
 
-  #setPlayerName() {
+  #addPlayer() {
     const name = this.#playerNameInput.value.trim();
-    if (name) {
-      gameState.playerName = name;
+    const difficulty = this.#playerTypeSelect.value || null;
+    if (!name && !difficulty) return;
+
+    if (gameState.players.length >= GameState.MAX_PLAYERS) {
+      audioService.playError();
+      return;
+    }
+
+    if (this.#confirmNewGame('Add player? Current progress will be lost.')) {
+      gameState.addPlayer({ name, difficulty });
       this.#playerNameInput.value = '';
-      this.#emitChange('playerName', name);
+      this.#saveSettings();
+      this.#emitChange('players', gameState.players.length);
+    }
+  }
+
+  #removePlayer(index) {
+    const player = gameState.players[index];
+    if (!player || !this.#confirmNewGame(`Remove ${player.name}? Current progress will be lost.`)) return;
+
+    try {
+      gameState.removePlayer(index);
+      this.#saveSettings();
+      this.#emitChange('players', gameState.players.length);
+    } catch (e) {
+      audioService.playError();
+      alert(e.message);
+    }
+  }
+
+  #renamePlayer(index) {
+    const player = gameState.players[index];
+    const name = prompt('Player name', player?.name)?.trim();
+    if (!player || !name) return;
+
+    gameState.renamePlayer(index, name);
+    this.#saveSettings();
+    this.#emitChange('playerName', name);
+  }
+
+  #saveGame() {
+    const name = prompt('Save game as', `Game ${new Date().toLocaleString()}`)?.trim();
+    if (!name) return;
+
+    if (saveManager.hasSlot(name) && !confirm(`Overwrite "${name}"?`)) return;
+
+    if (saveManager.saveSlot(name)) {
+      this.#saveSlotSelect.value = name;
+      audioService.playSave();
+    } else {
+      audioService.playError();
+      alert('Could not save the game. Storage may be full.');
+    }
+  }
+
+  #loadGame(name) {
+    if (!name || !this.#confirmNewGame(`Load "${name}"? Current progress will be lost.`)) return;
+
+    try {
+      saveManager.loadSlot(name);
+      this.#emitChange('loadGame', name);
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not load "${name}"\n${e.message}`);
+    }
+  }
+
+  #deleteGame(name) {
+    if (name && confirm(`Delete saved game "${name}"?`)) {
+      saveManager.deleteSlot(name);
+    }
+  }
+
+  /**
+   * Ask before throwing away a game in progress
+   * @param {string} message
+   * @returns {boolean}
+   */
+  #confirmNewGame(message) {
+    const inProgress = gameState.turn > 0 || gameState.rollCount > 0 || gameState.activePlayerIndex > 0;
+    return !inProgress || confirm(message);
+  }
+
+  #setRuleset(ruleset) {
+    if (!ruleset || isSameRuleset(ruleset, gameState.ruleset)) return;
+
+    const confirmed = confirm('Switch rules? Current progress will be lost.');
+    if (confirmed) {
+      gameState.ruleset = ruleset;
+      this.#saveSettings();
+      this.#emitChange('ruleset', ruleset.id);
+    }
+    this.#showRuleset();
+  }
+
+  async #loadRulesetFile() {
+    const file = this.#rulesetFileInput.files[0];
+    this.#rulesetFileInput.value = '';
+    if (!file) return;
+
+    try {
+      const ruleset = parseRuleset(await file.text());
+      this.#addRuleset(ruleset);
+      this.#setRuleset(ruleset);
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not load rules from ${file.name}\n${e.message}`);
     }
   }
 
@@ -392,6 +796,23 @@ export class YamboOptions extends HTMLElement {
     this.#tooltipsCheckbox.checked = enabled;
     this.#saveSettings();
   }
+
+  /**
+   * Check if the odds overlay is enabled
+   * @returns {boolean}
+   */
+  get isOddsEnabled() {
+    return this.#oddsCheckbox.checked;
+  }
+
+  /**
+   * Enable/disable the odds overlay
+   * @param {boolean} enabled
+   */
+  set isOddsEnabled(enabled) {
+    this.#oddsCheckbox.checked = enabled;
+    this.#saveSettings();
+  }
 }
 
 customElements.define('yambo-options', YamboOptions);
@@ -0,0 +1,305 @@
+/**
+ * Yambo Replay Component
+ * Replay controls for a recorded game: step, play/pause, speed and a
+ * scrubber. The game is shown read-only by the other components while a
+ * replay runs, and the game in progress comes back when it ends
+ */
+
+import { gameState } from '../services/game-state.js';
+import { diceEngine } from '../services/dice-engine.js';
+import { audioService } from '../services/audio-service.js';
+import { parseRecord } from '../services/game-record.js';
+import { Replay } from '../services/replay.js';
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    fieldset {
+      background: var(--fieldset-bg, rgba(0, 0, 0, 0.8));
+      border: var(--panel-border-width, 2px) solid var(--fieldset-border-color, #2f2727);
+      border-radius: var(--fieldset-border-radius, 10px);
+      padding: 1rem;
+      margin-bottom: 1rem;
+    }
+
+    legend {
+      color: var(--legend-color, #009933);
+      font-family: var(--font-family-heading, inherit);
+      padding: 0 0.5rem;
+    }
+
+    .controls {
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+      flex-wrap: wrap;
+    }
+
+    button,
+    select {
+      padding: 0.375rem 0.75rem;
+      font-size: 0.875rem;
+      border: 1px solid var(--brand-color1, #009933);
+      border-radius: 4px;
+      background: var(--brand-color2, #2f2727);
+      color: var(--text-color, #fff);
+      cursor: pointer;
+    }
+
+    button:hover:not(:disabled) {
+      background: var(--brand-color1, #009933);
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .btn-exit {
+      margin-left: auto;
+    }
+
+    .scrubber {
+      width: 100%;
+      margin: 0.75rem 0 0.25rem;
+    }
+
+    .status {
+      color: var(--label-color, #fff);
+      font-size: 0.875rem;
+      opacity: 0.8;
+    }
+  </style>
+
+  <fieldset>
+    <legend>Replay</legend>
+    <div class="controls">
+      <button type="button" class="btn-start" title="First move">|&lt;</button>
+      <button type="button" class="btn-back" title="Previous move (Left)">&lt;</button>
+      <button type="button" class="btn-play" title="Play / pause (Space)">Play</button>
+      <button type="button" class="btn-forward" title="Next move (Right)">&gt;</button>
+      <button type="button" class="btn-end" title="Last move">&gt;|</button>
+      <select class="speed" title="Speed"></select>
+      <button type="button" class="btn-open" title="Replay a JSON game record">Open...</button>
+      <button type="button" class="btn-exit" title="Back to your game">Exit</button>
+      <input type="file" class="open-file" accept=".json,application/json" hidden />
+    </div>
+    <input type="range" class="scrubber" min="0" max="0" value="0" />
+    <div class="status"></div>
+  </fieldset>
+`;
+
+export class YamboReplay extends HTMLElement {
+  #replay = null;
+  #saved = null;
+  #unsubscribe = [];
+  #startBtn;
+  #backBtn;
+  #playBtn;
+  #forwardBtn;
+  #endBtn;
+  #speedSelect;
+  #openBtn;
+  #exitBtn;
+  #openInput;
+  #scrubber;
+  #status;
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+  }
+
+  connectedCallback() {
+    this.#cacheElements();
+    this.#speedSelect.innerHTML = Replay.SPEEDS
+      .map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}x</option>`)
+      .join('');
+    this.#bindEvents();
+  }
+
+  #cacheElements() {
+    this.#startBtn = this.shadowRoot.querySelector('.btn-start');
+    this.#backBtn = this.shadowRoot.querySelector('.btn-back');
+    this.#playBtn = this.shadowRoot.querySelector('.btn-play');
+    this.#forwardBtn = this.shadowRoot.querySelector('.btn-forward');
+    this.#endBtn = this.shadowRoot.querySelector('.btn-end');
+    this.#speedSelect = this.shadowRoot.querySelector('.speed');
+    this.#openBtn = this.shadowRoot.querySelector('.btn-open');
+    this.#exitBtn = this.shadowRoot.querySelector('.btn-exit');
+    this.#openInput = this.shadowRoot.querySelector('.open-file');
+    this.#scrubber = this.shadowRoot.querySelector('.scrubber');
+    this.#status = this.shadowRoot.querySelector('.status');
+  }
+
+  #bindEvents() {
+    this.#startBtn.addEventListener('click', () => this.#replay?.seek(0));
+    this.#backBtn.addEventListener('click', () => this.#replay?.previous());
+    this.#playBtn.addEventListener('click', () => this.#replay?.toggle());
+    this.#forwardBtn.addEventListener('click', () => this.#replay?.next());
+    this.#endBtn.addEventListener('click', () => this.#replay?.seek(this.#replay.length));
+
+    this.#speedSelect.addEventListener('change', () => {
+      if (this.#replay) this.#replay.speed = parseFloat(this.#speedSelect.value);
+    });
+
+    // Scrubbing pauses playback
+    this.#scrubber.addEventListener('input', () => {
+      this.#replay?.pause();
+      this.#replay?.seek(parseInt(this.#scrubber.value, 10));
+    });
+
+    this.#openBtn.addEventListener('click', () => this.#openInput.click());
+    this.#openInput.addEventListener('change', () => this.#openFile());
+    this.#exitBtn.addEventListener('click', () => this.stop());
+
+    // Keyboard: Left / Right step, Space plays or pauses
+    document.addEventListener('keydown', (e) => {
+      if (!this.isActive || e.target.closest?.('input, select, textarea, button')) return;
+
+      if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        this.#replay.previous();
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        this.#replay.next();
+      } else if (e.key === ' ') {
+        e.preventDefault();
+        this.#replay.toggle();
+      }
+    });
+  }
+
+  async #openFile() {
+    const file = this.#openInput.files[0];
+    this.#openInput.value = '';
+    if (!file) return;
+
+    try {
+      this.start(parseRecord(await file.text()));
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not replay ${file.name}\n${e.message}`);
+    }
+  }
+
+  #showStep(e) {
+    const { position, move, stepped } = e.detail;
+    gameState.load(this.#replay.state);
+    this.#updateControls();
+
+    this.dispatchEvent(new CustomEvent('replaystep', {
+      bubbles: true,
+      detail: { position, move, stepped, moves: this.#replay.record.moves.slice(0, position) }
+    }));
+  }
+
+  #updateControls() {
+    const replay = this.#replay;
+    const { position, length, state } = replay;
+
+    this.#scrubber.max = length;
+    this.#scrubber.value = position;
+    this.#startBtn.disabled = this.#backBtn.disabled = position === 0;
+    this.#forwardBtn.disabled = this.#endBtn.disabled = replay.isAtEnd;
+    this.#playBtn.textContent = replay.isPlaying ? 'Pause' : 'Play';
+
+    const player = state.players[replay.move?.player ?? state.activePlayer];
+    const turn = state.gameOver ? 'Game over' : `Turn ${state.turn + 1}`;
+    this.#status.textContent = `Move ${position} / ${length} · ${turn} · ${player.name}`;
+  }
+
+  #close() {
+    // Stop listening to the current replay
+    this.#replay.pause();
+    this.#unsubscribe.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribe = [];
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  /**
+   * Check if a replay is showing
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.#replay !== null;
+  }
+
+  /**
+   * Get the replay being shown
+   * @returns {Replay|null}
+   */
+  get replay() {
+    return this.#replay;
+  }
+
+  /**
+   * Replay a game record, putting the game in progress aside
+   * @param {Object} record - Parsed record (see services/game-record.js)
+   * @throws {Error} When a move of the record is not allowed
+   */
+  start(record) {
+    const replay = new Replay(record);
+
+    // Opening another record keeps the game put aside by the first one
+    if (this.#replay) {
+      this.#close();
+    } else {
+      this.#saved = { game: gameState.toJSON(), draws: diceEngine.draws };
+      gameState.readOnly = true;
+    }
+
+    this.#replay = replay;
+    replay.speed = parseFloat(this.#speedSelect.value);
+    this.#unsubscribe = [
+      replay.on('step', (e) => this.#showStep(e)),
+      replay.on('playChange', () => this.#updateControls())
+    ];
+
+    this.hidden = false;
+    gameState.load(replay.state);
+    this.#updateControls();
+
+    this.dispatchEvent(new CustomEvent('replaystart', {
+      bubbles: true,
+      detail: { record }
+    }));
+  }
+
+  /**
+   * End the replay and go back to the game in progress
+   */
+  stop() {
+    if (!this.#replay) return;
+
+    this.#close();
+    this.#replay = null;
+    this.hidden = true;
+
+    gameState.load(this.#saved.game);
+    gameState.readOnly = false;
+
+    // Carry on rolling where the game's own dice stopped
+    diceEngine.seed = gameState.seed;
+    diceEngine.skip(this.#saved.draws);
+    this.#saved = null;
+
+    this.dispatchEvent(new CustomEvent('replayend', {
+      bubbles: true
+    }));
+  }
+}
+
+customElements.define('yambo-replay', YamboReplay);
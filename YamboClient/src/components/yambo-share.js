@@ -0,0 +1,186 @@
+/**
+ * Yambo Share Component
+ * Result card of a finished game: copy it as text or as an image, or save
+ * the image, to post the result in chat
+ */
+
+import { gameState } from '../services/game-state.js';
+import { audioService } from '../services/audio-service.js';
+import { createResultCard, formatResultCard, drawResultCard } from '../services/result-card.js';
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    fieldset {
+      background: var(--fieldset-bg, rgba(0, 0, 0, 0.8));
+      border: var(--panel-border-width, 2px) solid var(--fieldset-border-color, #2f2727);
+      border-radius: var(--fieldset-border-radius, 10px);
+      padding: 1rem;
+      margin-bottom: 1rem;
+    }
+
+    legend {
+      color: var(--legend-color, #009933);
+      font-family: var(--font-family-heading, inherit);
+      padding: 0 0.5rem;
+    }
+
+    canvas {
+      display: block;
+      max-width: 100%;
+      border-radius: 4px;
+    }
+
+    pre {
+      margin: 0.75rem 0;
+      color: var(--label-color, #fff);
+      font-size: 0.875rem;
+      white-space: pre-wrap;
+    }
+
+    .controls {
+      display: flex;
+      gap: 0.25rem;
+      flex-wrap: wrap;
+    }
+
+    button {
+      padding: 0.375rem 0.75rem;
+      font-size: 0.875rem;
+      border: 1px solid var(--brand-color1, #009933);
+      border-radius: 4px;
+      background: var(--brand-color2, #2f2727);
+      color: var(--text-color, #fff);
+      cursor: pointer;
+    }
+
+    button:hover {
+      background: var(--brand-color1, #009933);
+    }
+
+    .btn-close {
+      margin-left: auto;
+    }
+  </style>
+
+  <fieldset>
+    <legend>Share Result</legend>
+    <canvas class="card"></canvas>
+    <pre class="text"></pre>
+    <div class="controls">
+      <button type="button" class="btn-copy-text">Copy Text</button>
+      <button type="button" class="btn-copy-image">Copy Image</button>
+      <button type="button" class="btn-save-image">Save Image</button>
+      <button type="button" class="btn-close">Close</button>
+    </div>
+  </fieldset>
+`;
+
+export class YamboShare extends HTMLElement {
+  #card = null;
+  #canvas;
+  #text;
+  #copyTextBtn;
+  #copyImageBtn;
+  #saveImageBtn;
+  #closeBtn;
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+  }
+
+  connectedCallback() {
+    this.#cacheElements();
+    this.#bindEvents();
+  }
+
+  #cacheElements() {
+    this.#canvas = this.shadowRoot.querySelector('.card');
+    this.#text = this.shadowRoot.querySelector('.text');
+    this.#copyTextBtn = this.shadowRoot.querySelector('.btn-copy-text');
+    this.#copyImageBtn = this.shadowRoot.querySelector('.btn-copy-image');
+    this.#saveImageBtn = this.shadowRoot.querySelector('.btn-save-image');
+    this.#closeBtn = this.shadowRoot.querySelector('.btn-close');
+  }
+
+  #bindEvents() {
+    this.#copyTextBtn.addEventListener('click', () => this.#copyText());
+    this.#copyImageBtn.addEventListener('click', () => this.#copyImage());
+    this.#saveImageBtn.addEventListener('click', () => this.#saveImage());
+    this.#closeBtn.addEventListener('click', () => this.hide());
+
+    // The card belongs to the game that just ended
+    ['reset', 'load'].forEach(type => gameState.on(type, () => this.hide()));
+  }
+
+  async #copyText() {
+    try {
+      await navigator.clipboard.writeText(this.#text.textContent);
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not copy the result\n${e.message}`);
+    }
+  }
+
+  async #copyImage() {
+    try {
+      const blob = await new Promise(resolve => this.#canvas.toBlob(resolve, 'image/png'));
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not copy the image, save it instead\n${e.message}`);
+    }
+  }
+
+  #saveImage() {
+    const { date, seed } = this.#card;
+    const link = document.createElement('a');
+    link.href = this.#canvas.toDataURL('image/png');
+    link.download = date ? `yambo-daily-${date}.png` : `yambo-${seed}.png`;
+    link.click();
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  /**
+   * Get the card being shown
+   * @returns {Object|null} See services/result-card.js
+   */
+  get card() {
+    return this.#card;
+  }
+
+  /**
+   * Show the result card of the game in progress
+   * @returns {Object} The card
+   */
+  show() {
+    this.#card = createResultCard(gameState);
+    this.#text.textContent = formatResultCard(this.#card);
+    drawResultCard(this.#card, this.#canvas);
+    this.hidden = false;
+    return this.#card;
+  }
+
+  /**
+   * Put the card away
+   */
+  hide() {
+    this.#card = null;
+    this.hidden = true;
+  }
+}
+
+customElements.define('yambo-share', YamboShare);
@@ -1,44 +1,23 @@
 /**
  * Yambo Sheet Component
- * Score sheet with 5 columns and scoring logic
- *
- * Column rules:
- * - Column 1 (dn): Chronological top-to-bottom, 3 tries
- * - Column 2 (one): Random order, 1 try only
- * - Column 3 (w): Random order, 3 tries
- * - Column 4 (two): Random order, 2 tries
- * - Column 5 (up): Chronological bottom-to-top, 3 tries
+ * Score sheet with one column per ruleset column
+ * Renders the rules engine held by the game state; all column rules,
+ * placement checks and totals live in services/rules-engine.js
  */
 
-import { gameState, GameState } from '../services/game-state.js';
-import { diceEngine } from '../services/dice-engine.js';
+import { gameState } from '../services/game-state.js';
 import { audioService } from '../services/audio-service.js';
-
-// Row definitions
-const UPPER_ROWS = [
-  { id: 'ones', label: 'Ones', multiplier: 1 },
-  { id: 'twos', label: 'Twos', multiplier: 2 },
-  { id: 'threes', label: 'Threes', multiplier: 3 },
-  { id: 'fours', label: 'Fours', multiplier: 4 },
-  { id: 'fives', label: 'Fives', multiplier: 5 },
-  { id: 'sixes', label: 'Sixes', multiplier: 6 }
-];
-
-const LOWER_ROWS = [
-  { id: 'fullHouse', label: 'Full House', fixedScore: 20 },
-  { id: 'straight', label: 'Straight', fixedScore: 30 },
-  { id: 'chancePlus', label: 'Chance +', useTotal: true },
-  { id: 'chanceMinus', label: 'Chance -', useTotal: true },
-  { id: 'yambo', label: 'YAMBO!', fixedScore: 40 }
-];
-
-const COLUMNS = [
-  { id: 'dn', label: '↓', maxTries: 3, order: 'down' },
-  { id: 'w', label: 'W', maxTries: 3, order: 'random' },
-  { id: 'up', label: '↑', maxTries: 3, order: 'up' },
-  { id: 'one', label: '1', maxTries: 1, order: 'random' },
-  { id: 'two', label: '2', maxTries: 2, order: 'random' }
-];
+import { diceEngine, DiceEngine } from '../services/dice-engine.js';
+import { escapeHtml } from '../utils/dom-helpers.js';
+
+// Labels for the odds overlay
+const ODDS_LABELS = {
+  threeOfAKind: 'Three of a Kind',
+  fourOfAKind: 'Four of a Kind',
+  fullHouse: 'Full House',
+  straight: 'Straight',
+  yambo: 'Yambo'
+};
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -136,23 +115,97 @@ template.innerHTML = `
       background: rgba(255, 106, 0, 0.2);
     }
 
+    input.announceable {
+      border: 1px dashed var(--brand-color1, #009933);
+      cursor: pointer;
+    }
+
+    input.announceable:hover {
+      background: rgba(0, 153, 51, 0.3);
+    }
+
+    input.announced {
+      outline: 2px solid #ff6a00;
+    }
+
     input:read-only {
       cursor: default;
     }
 
+    /* Bonus progress: filled up to the next tier */
+    input.upper-total {
+      background: linear-gradient(to right, var(--bonus-color, transparent) var(--bonus-progress, 0%), rgba(255, 255, 255, 0.1) 0);
+    }
+
+    input.upper-total.bonus-reachable {
+      --bonus-color: rgba(0, 153, 51, 0.4);
+    }
+
+    input.upper-total.bonus-reached {
+      --bonus-color: rgba(0, 153, 51, 0.8);
+    }
+
+    input.upper-total.bonus-lost {
+      --bonus-color: rgba(255, 106, 0, 0.3);
+      color: #ff6a00;
+    }
+
     .player-name {
       color: var(--brand-color1, #009933);
       font-weight: bold;
       margin-bottom: 0.5rem;
     }
+
+    .odds {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.25rem 0.75rem;
+      margin-bottom: 0.5rem;
+      font-size: 0.75rem;
+      color: var(--label-color, #fff);
+    }
+
+    .odds span {
+      white-space: nowrap;
+    }
+
+    .odds strong {
+      color: var(--brand-color1, #009933);
+    }
+
+    .match-result {
+      margin-top: 1rem;
+    }
+
+    .match-result th {
+      cursor: default;
+    }
+
+    .match-result td {
+      color: var(--text-color, #fff);
+    }
+
+    .match-result td.won {
+      background: rgba(0, 153, 51, 0.3);
+      font-weight: bold;
+    }
+
+    .match-result .winner {
+      color: var(--brand-color1, #009933);
+      font-weight: bold;
+      margin-top: 0.5rem;
+      text-align: center;
+    }
   </style>
 
   <div class="sheet-container">
     <div class="player-name"></div>
+    <div class="odds" hidden></div>
     <table>
       <thead></thead>
       <tbody></tbody>
     </table>
+    <div class="match-result" hidden></div>
   </div>
 `;
 
@@ -161,8 +214,11 @@ export class YamboSheet extends HTMLElement {
   #thead;
   #tbody;
   #playerNameEl;
+  #oddsEl;
+  #matchResultEl;
   #cells = {};
-  #columnStates = {};
+  #tooltips = true;
+  #showOdds = false;
 
   constructor() {
     super();
@@ -174,8 +230,6 @@ export class YamboSheet extends HTMLElement {
     this.#cacheElements();
     this.#buildTable();
     this.#bindEvents();
-    // Initialize max rolls based on all columns being available
-    this.#updateMaxRollsForAvailableColumns();
   }
 
   #cacheElements() {
@@ -183,14 +237,17 @@ export class YamboSheet extends HTMLElement {
     this.#thead = this.shadowRoot.querySelector('thead');
     this.#tbody = this.shadowRoot.querySelector('tbody');
     this.#playerNameEl = this.shadowRoot.querySelector('.player-name');
+    this.#oddsEl = this.shadowRoot.querySelector('.odds');
+    this.#matchResultEl = this.shadowRoot.querySelector('.match-result');
   }
 
   #buildTable() {
+    const { columns, upperRows, lowerRows, ruleset } = gameState.sheet;
+
     // Build header
     let headerHtml = '<tr><th></th>';
-    COLUMNS.forEach(col => {
-      headerHtml += `<th data-col="${col.id}" title="${col.label}">${col.label}</th>`;
-      this.#columnStates[col.id] = { scratched: false };
+    columns.forEach(col => {
+      headerHtml += `<th data-col="${escapeHtml(col.id)}" title="${escapeHtml(col.label)}">${escapeHtml(col.label)}</th>`;
     });
     headerHtml += '</tr>';
     this.#thead.innerHTML = headerHtml;
@@ -199,43 +256,48 @@ export class YamboSheet extends HTMLElement {
     let bodyHtml = '';
 
     // Upper section
-    UPPER_ROWS.forEach(row => {
+    upperRows.forEach(row => {
       bodyHtml += this.#buildRow(row, 'upper');
     });
 
     // Upper total row
     bodyHtml += '<tr class="total-row"><td>Upper Total</td>';
-    COLUMNS.forEach(col => {
-      bodyHtml += `<td><input type="text" class="upper-total" data-col="${col.id}" readonly /></td>`;
+    columns.forEach(col => {
+      bodyHtml += `<td><input type="text" class="upper-total" data-col="${escapeHtml(col.id)}" readonly /></td>`;
     });
     bodyHtml += '</tr>';
 
-    // Bonus row
-    bodyHtml += '<tr class="total-row"><td>Bonus (63+)</td>';
-    COLUMNS.forEach(col => {
-      bodyHtml += `<td><input type="text" class="bonus" data-col="${col.id}" readonly /></td>`;
+    // Bonus row, thresholds in the label unless columns have their own
+    const thresholds = ruleset.bonus.tiers.map(tier => `${tier.threshold}+`).join(' / ');
+    const ownBonus = columns.some(col => col.bonus);
+    bodyHtml += `<tr class="total-row"><td>${thresholds && !ownBonus ? `Bonus (${thresholds})` : 'Bonus'}</td>`;
+    columns.forEach(col => {
+      const tiers = gameState.sheet.getBonusTiers(col.id)
+        .map(tier => `${tier.threshold}+ → ${tier.value}`)
+        .join(', ');
+      bodyHtml += `<td><input type="text" class="bonus" data-col="${escapeHtml(col.id)}" title="${tiers}" readonly /></td>`;
     });
     bodyHtml += '</tr>';
 
     // Divider
-    bodyHtml += '<tr class="section-divider"><td colspan="6"></td></tr>';
+    bodyHtml += `<tr class="section-divider"><td colspan="${columns.length + 1}"></td></tr>`;
 
     // Lower section
-    LOWER_ROWS.forEach(row => {
+    lowerRows.forEach(row => {
       bodyHtml += this.#buildRow(row, 'lower');
     });
 
     // Lower total row
     bodyHtml += '<tr class="total-row"><td>Lower Total</td>';
-    COLUMNS.forEach(col => {
-      bodyHtml += `<td><input type="text" class="lower-total" data-col="${col.id}" readonly /></td>`;
+    columns.forEach(col => {
+      bodyHtml += `<td><input type="text" class="lower-total" data-col="${escapeHtml(col.id)}" readonly /></td>`;
     });
     bodyHtml += '</tr>';
 
     // Grand total row
     bodyHtml += '<tr class="total-row"><td><strong>TOTAL</strong></td>';
-    COLUMNS.forEach(col => {
-      bodyHtml += `<td><input type="text" class="grand-total" data-col="${col.id}" readonly /></td>`;
+    columns.forEach(col => {
+      bodyHtml += `<td><input type="text" class="grand-total" data-col="${escapeHtml(col.id)}" readonly /></td>`;
     });
     bodyHtml += '</tr>';
 
@@ -246,10 +308,11 @@ export class YamboSheet extends HTMLElement {
   }
 
   #buildRow(row, section) {
-    let html = `<tr data-row="${row.id}" data-section="${section}"><td>${row.label}</td>`;
-    COLUMNS.forEach(col => {
-      const cellId = `${col.id}-${row.id}`;
-      html += `<td><input type="text" id="${cellId}" data-col="${col.id}" data-row="${row.id}" data-section="${section}" readonly /></td>`;
+    const rowId = escapeHtml(row.id);
+    let html = `<tr data-row="${rowId}" data-section="${section}"><td>${escapeHtml(row.label)}</td>`;
+    gameState.sheet.columns.forEach(col => {
+      const colId = escapeHtml(col.id);
+      html += `<td><input type="text" id="${colId}-${rowId}" data-col="${colId}" data-row="${rowId}" data-section="${section}" readonly /></td>`;
     });
     html += '</tr>';
     return html;
@@ -266,159 +329,225 @@ export class YamboSheet extends HTMLElement {
   }
 
   #bindEvents() {
-    // Column header click - toggle scratch state
+    // Column header click - scratch the column (not in replays)
     this.#thead.addEventListener('click', (e) => {
       const th = e.target.closest('th[data-col]');
-      if (th) {
-        this.#toggleColumnScratch(th.dataset.col);
+      if (th && !gameState.isReadOnly) {
+        this.#scratchColumn(th.dataset.col);
       }
     });
 
-    // Cell click - save score
+    // Cell click - save score, or announce a cell of an announce column (not in replays)
     this.#tbody.addEventListener('click', (e) => {
-      const input = e.target.closest('input.available');
-      if (input) {
-        this.#saveScore(input);
+      if (gameState.isReadOnly) return;
+
+      const input = e.target.closest('input.available, input.announceable');
+      if (input?.classList.contains('available')) {
+        this.#saveScore(input, e.shiftKey);
+      } else if (input) {
+        this.#announce(input);
       }
     });
 
     // Game state events
-    gameState.on('playerNameChange', (e) => {
-      this.#playerNameEl.textContent = e.detail.name;
+    gameState.on('playerNameChange', () => {
+      this.#playerNameEl.textContent = gameState.playerName;
     });
 
+    // Hot-seat: the sheet follows whoever is playing
+    gameState.on('playerChange', () => this.#showActivePlayer());
+
     gameState.on('reset', () => this.#reset());
 
-    gameState.on('diceChange', () => this.#updateAvailableCells());
-  }
+    // Undo / redo may go back to another player, or to before the game ended
+    gameState.on('restore', () => {
+      this.hideMatchResult();
+      if (gameState.players.length > 1) {
+        this.#playerNameEl.textContent = gameState.playerName;
+      }
+      this.#render();
+      this.#updateAvailableCells();
+    });
 
-  #toggleColumnScratch(colId) {
-    const th = this.#thead.querySelector(`th[data-col="${colId}"]`);
-    const state = this.#columnStates[colId];
-    state.scratched = !state.scratched;
-    th.classList.toggle('scratched', state.scratched);
-    audioService.playSave();
-    this.#updateAvailableCells();
-  }
+    gameState.on('rulesetChange', () => this.#buildTable());
 
-  #updateAvailableCells() {
-    const values = gameState.diceValues;
-    const rollCount = gameState.rollCount;
+    gameState.on('diceChange', () => this.#updateAvailableCells());
 
-    // Clear all available states
-    this.shadowRoot.querySelectorAll('input.available').forEach(input => {
-      input.classList.remove('available');
-      if (!input.classList.contains('saved') && !input.classList.contains('scratched')) {
-        input.value = '';
-      }
+    gameState.on('announce', () => {
+      this.#render();
+      this.#updateAvailableCells();
     });
 
-    if (rollCount === 0) return;
+    gameState.on('columnScratch', () => {
+      this.#render();
+      this.#updateAvailableCells();
+    });
 
-    // Calculate potential scores
-    const scores = this.#calculateScores(values);
+    // Odds follow the dice, holds and rolls left
+    ['diceChange', 'diceHoldChange', 'rollChange', 'turnChange', 'maxRollsChange', 'reset', 'restore']
+      .forEach(type => gameState.on(type, () => this.#updateOdds()));
+  }
 
-    // Update available cells based on column rules
-    COLUMNS.forEach(col => {
-      if (this.#columnStates[col.id]?.scratched) return;
+  #scratchColumn(colId) {
+    const sheet = gameState.sheet;
+    if (gameState.isGameOver || !sheet.canScratchColumn(colId, gameState.rollCount)) {
+      audioService.playError();
+      return;
+    }
 
-      // Check if column is valid for current roll count
-      if (!this.#isColumnValidForRoll(col, rollCount)) return;
+    const open = sheet.rows.filter(row => sheet.isOpen(colId, row.id)).length;
+    const message = `Scratch column ${sheet.getColumn(colId).label}? Its ${open} open ` +
+      `${open === 1 ? 'cell is' : 'cells are'} crossed out for 0 points. This can't be undone.`;
+    if (!confirm(message)) return;
 
-      // Get next available cell for ordered columns
-      const nextCell = this.#getNextAvailableCell(col);
+    try {
+      gameState.scratchColumn(colId);
+      audioService.playScratch();
+    } catch (e) {
+      audioService.playError();
+    }
+  }
 
-      // Update cells
-      [...UPPER_ROWS, ...LOWER_ROWS].forEach(row => {
-        const cell = this.#cells[col.id]?.[row.id];
-        if (!cell || cell.classList.contains('saved') || cell.classList.contains('scratched')) return;
+  #render() {
+    const sheet = gameState.sheet;
+    const announced = sheet.announced;
 
-        // For ordered columns, only show the next cell
-        if (col.order !== 'random') {
-          if (nextCell && cell.id !== nextCell.id) return;
-        }
+    sheet.columns.forEach(col => {
+      const th = this.#thead.querySelector(`th[data-col="${col.id}"]`);
+      if (th) {
+        const scratched = sheet.isColumnScratched(col.id);
+        th.classList.toggle('scratched', scratched);
+        th.title = scratched ? `${col.label} (scratched)` : `${col.label} - click before rolling to scratch the column`;
+      }
 
-        const score = scores[row.id];
-        if (score !== undefined) {
-          cell.value = score || '';
-          cell.classList.add('available');
-        }
+      sheet.rows.forEach(row => {
+        const cell = this.#cells[col.id]?.[row.id];
+        if (!cell) return;
+
+        const score = sheet.getScore(col.id, row.id);
+        cell.classList.remove('available');
+        cell.classList.toggle('saved', score > 0);
+        cell.classList.toggle('scratched', score === 0);
+        cell.value = score === null ? '' : (score || '×');
+        cell.classList.toggle('announced', announced?.column === col.id && announced?.row === row.id);
       });
+
+      this.#renderTotals(col.id);
     });
   }
 
-  #calculateScores(values) {
-    const counts = diceEngine.getCounts(values);
-    const total = diceEngine.getTotal(values);
-    const scores = {};
+  #updateAvailableCells() {
+    const sheet = gameState.sheet;
+    const rollCount = gameState.rollCount;
 
-    // Upper section
-    UPPER_ROWS.forEach((row, i) => {
-      scores[row.id] = counts[i] * row.multiplier;
+    // Clear all available states
+    this.#clearAvailableCells();
+
+    if (rollCount === 0) return;
+
+    // Show a preview in every cell with a legal move, explain the others
+    const tips = {};
+    sheet.getMoves(gameState.diceValues, rollCount).forEach(move => {
+      const cell = this.#cells[move.column]?.[move.row];
+      if (!cell) return;
+
+      if (move.legal) {
+        cell.classList.add('available');
+      }
+
+      if (tips[cell.id] === undefined) {
+        // Scoring move (or plain scratch when the dice score nothing)
+        tips[cell.id] = move.reason || '';
+        if (move.legal) {
+          cell.value = move.score || '';
+          this.#previewDifference(cell, move, tips);
+        }
+      } else {
+        // Extra scratch move of a cell that would score points
+        tips[cell.id] = [tips[cell.id], 'Shift+click to scratch'].filter(Boolean).join('. ');
+      }
+
+      cell.title = this.#tooltips ? tips[cell.id] : '';
     });
 
-    // Lower section
-    scores.fullHouse = diceEngine.isFullHouse(values) ? 20 : 0;
-    scores.straight = diceEngine.isStraight(values) ? 30 : 0;
-    scores.chancePlus = total;
-    scores.chanceMinus = total;
-    scores.yambo = diceEngine.isYambo(values) ? 40 : 0;
+    // Right after the first roll, announce columns take an announcement
+    sheet.getAnnounceableCells(rollCount).forEach(({ column, row }) => {
+      const cell = this.#cells[column]?.[row];
+      if (!cell) return;
 
-    return scores;
+      cell.classList.add('announceable');
+      cell.title = this.#tooltips ? `Click to announce ${sheet.getRow(row).label}` : '';
+    });
   }
 
-  #isColumnValidForRoll(col, rollCount) {
-    // Columns with max tries restriction
-    if (col.maxTries === 1 && rollCount !== 1) return false;
-    if (col.maxTries === 2 && rollCount > 2) return false;
-    return true;
+  /**
+   * Show what a move completing max - min adds to the lower total: "25→51"
+   * @param {HTMLInputElement} cell
+   * @param {Object} move - Legal move
+   * @param {Object} tips - Map of cell id -> tooltip
+   */
+  #previewDifference(cell, move, tips) {
+    const sheet = gameState.sheet;
+    const { difference } = sheet.ruleset;
+    if (!difference || ![difference.max, difference.min, difference.times].includes(move.row)) return;
+
+    const projected = sheet.getDifference(move.column, { [move.row]: move.score });
+    if (projected === null) return;
+
+    const [max, min, times] = [difference.max, difference.min, difference.times].map(id => sheet.getRow(id).label);
+    cell.value = `${move.score}→${projected}`;
+    tips[cell.id] = [tips[cell.id], `(${max} - ${min}) × ${times} adds ${projected} to the total`]
+      .filter(Boolean).join('. ');
   }
 
-  #getNextAvailableCell(col) {
-    const allRows = [...UPPER_ROWS, ...LOWER_ROWS];
-    const rows = col.order === 'up' ? [...allRows].reverse() : allRows;
+  #updateOdds() {
+    const rollCount = gameState.rollCount;
+    const rollsLeft = gameState.maxRollsForTurn - rollCount;
 
-    for (const row of rows) {
-      const cell = this.#cells[col.id]?.[row.id];
-      if (cell && !cell.classList.contains('saved') && !cell.classList.contains('scratched')) {
-        return cell;
-      }
-    }
-    return null;
+    this.#oddsEl.hidden = !this.#showOdds || rollsLeft <= 0 || gameState.isGameOver;
+    if (this.#oddsEl.hidden) return;
+
+    // Before the first roll nothing is held yet
+    const held = rollCount === 0
+      ? []
+      : gameState.diceValues.filter((_, i) => gameState.isHeld(i));
+
+    const odds = diceEngine.getProbabilities(held, rollsLeft);
+    this.#oddsEl.innerHTML = DiceEngine.TARGETS
+      .map(target => `<span>${ODDS_LABELS[target]}: <strong>${Math.round(odds[target] * 100)}%</strong></span>`)
+      .join('');
   }
 
-  #saveScore(input) {
+  #saveScore(input, scratch = false) {
+    const sheet = gameState.sheet;
     const col = input.dataset.col;
     const row = input.dataset.row;
     const section = input.dataset.section;
-    const value = parseInt(input.value, 10) || 0;
 
-    // Validate chance+/- rules
-    if (row === 'chancePlus' || row === 'chanceMinus') {
-      if (!this.#validateChance(col, row, value)) return;
+    // Validate placement (includes the ruleset constraints, e.g. Chance+/-)
+    const check = scratch
+      ? sheet.checkScratch(col, row, gameState.rollCount)
+      : sheet.checkPlacement(col, row, gameState.diceValues, gameState.rollCount);
+
+    if (!check.legal) {
+      audioService.playError();
+      return;
     }
 
+    const value = check.score;
+
     // Save the score
+    gameState.setScore(col, row, value);
+
     if (value === 0) {
-      input.value = '×';
-      input.classList.add('scratched');
       audioService.playScratch();
     } else {
-      input.classList.add('saved');
       audioService.playSave();
     }
 
-    input.classList.remove('available');
-    gameState.setScore(COLUMNS.findIndex(c => c.id === col) + 1, row, value);
-
-    // Recalculate totals
-    this.#calculateTotals(col);
-
-    // Clear available cells and reset turn
+    // Render the saved cell and recalculate totals
     this.#clearAvailableCells();
-
-    // Update max rolls for next turn based on remaining columns
-    this.#updateMaxRollsForAvailableColumns();
+    this.#render();
 
     // Emit save event
     this.dispatchEvent(new CustomEvent('scoresaved', {
@@ -426,59 +555,30 @@ export class YamboSheet extends HTMLElement {
       detail: { column: col, row, value, section }
     }));
 
-    // Check game over
-    if (this.#isGameOver()) {
+    // Check game over (every player has filled their sheet)
+    if (gameState.players.every(player => player.sheet.isComplete())) {
       this.dispatchEvent(new CustomEvent('gameover', { bubbles: true }));
     }
   }
 
-  #validateChance(col, row, value) {
-    const plusCell = this.#cells[col]?.chancePlus;
-    const minusCell = this.#cells[col]?.chanceMinus;
+  #announce(input) {
+    const sheet = gameState.sheet;
+    const { col, row } = input.dataset;
 
-    if (row === 'chanceMinus' && plusCell?.classList.contains('saved')) {
-      const plusValue = parseInt(plusCell.value, 10) || 0;
-      if (value >= plusValue) {
-        // Invalid - chance- must be less than chance+
-        audioService.playError();
-        return false;
-      }
-    }
+    const message = `Announce ${sheet.getRow(row).label} in column ${sheet.getColumn(col).label}? ` +
+      'It will be the only cell you can play this turn.';
+    if (!confirm(message)) return;
 
-    if (row === 'chancePlus' && minusCell?.classList.contains('saved')) {
-      const minusValue = parseInt(minusCell.value, 10) || 0;
-      if (value <= minusValue) {
-        // Invalid - chance+ must be greater than chance-
-        audioService.playError();
-        return false;
-      }
+    try {
+      gameState.announce(col, row);
+      audioService.playSave();
+    } catch (e) {
+      audioService.playError();
     }
-
-    return true;
   }
 
-  #calculateTotals(col) {
-    let upperTotal = 0;
-    let lowerTotal = 0;
-
-    // Sum upper section
-    UPPER_ROWS.forEach(row => {
-      const cell = this.#cells[col]?.[row.id];
-      if (cell?.classList.contains('saved')) {
-        upperTotal += parseInt(cell.value, 10) || 0;
-      }
-    });
-
-    // Sum lower section
-    LOWER_ROWS.forEach(row => {
-      const cell = this.#cells[col]?.[row.id];
-      if (cell?.classList.contains('saved')) {
-        lowerTotal += parseInt(cell.value, 10) || 0;
-      }
-    });
-
-    // Calculate bonus
-    const bonus = upperTotal >= GameState.UPPER_BONUS_THRESHOLD ? GameState.UPPER_BONUS_VALUE : 0;
+  #renderTotals(col) {
+    const { upper, bonus, lower, total } = gameState.sheet.getTotals(col);
 
     // Update totals
     const upperTotalInput = this.shadowRoot.querySelector(`.upper-total[data-col="${col}"]`);
@@ -486,10 +586,40 @@ export class YamboSheet extends HTMLElement {
     const lowerTotalInput = this.shadowRoot.querySelector(`.lower-total[data-col="${col}"]`);
     const grandTotalInput = this.shadowRoot.querySelector(`.grand-total[data-col="${col}"]`);
 
-    if (upperTotalInput) upperTotalInput.value = upperTotal || '';
+    if (upperTotalInput) this.#renderBonusProgress(upperTotalInput, col);
     if (bonusInput) bonusInput.value = bonus || '';
-    if (lowerTotalInput) lowerTotalInput.value = lowerTotal || '';
-    if (grandTotalInput) grandTotalInput.value = upperTotal + bonus + lowerTotal || '';
+    if (lowerTotalInput) lowerTotalInput.value = lower || '';
+    if (grandTotalInput) grandTotalInput.value = total || '';
+  }
+
+  /**
+   * Show the upper total against the next bonus tier: "41/63" while it can
+   * still be reached, filled in as the column gets there
+   * @param {HTMLInputElement} input
+   * @param {string} col
+   */
+  #renderBonusProgress(input, col) {
+    const { upper, bonus, next, needed, reachable } = gameState.sheet.getBonusProgress(col);
+    let state = null;
+    if (reachable) state = 'reachable';
+    else if (bonus) state = 'reached';
+    else if (next) state = 'lost';
+
+    input.value = upper && reachable ? `${upper}/${next.threshold}` : (upper || '');
+    input.classList.toggle('bonus-reached', state === 'reached');
+    input.classList.toggle('bonus-reachable', state === 'reachable');
+    input.classList.toggle('bonus-lost', state === 'lost');
+    input.style.setProperty('--bonus-progress', reachable ? `${100 * upper / next.threshold}%` : '100%');
+
+    if (!this.#tooltips) {
+      input.title = '';
+    } else if (state === 'reachable') {
+      input.title = `${needed} more for a bonus of ${next.value}`;
+    } else if (state === 'lost') {
+      input.title = `A bonus of ${next.value} is out of reach`;
+    } else {
+      input.title = state === 'reached' ? `Bonus of ${bonus} reached` : '';
+    }
   }
 
   #clearAvailableCells() {
@@ -497,57 +627,24 @@ export class YamboSheet extends HTMLElement {
       input.classList.remove('available');
       input.value = '';
     });
-  }
-
-  #getAvailableColumns() {
-    // Get columns that still have at least one empty cell (not saved or scratched)
-    const available = [];
-    COLUMNS.forEach(col => {
-      if (this.#columnStates[col.id]?.scratched) return;
-
-      // Check if column has any empty cells
-      const hasEmpty = [...UPPER_ROWS, ...LOWER_ROWS].some(row => {
-        const cell = this.#cells[col.id]?.[row.id];
-        return cell && !cell.classList.contains('saved') && !cell.classList.contains('scratched');
-      });
-
-      if (hasEmpty) {
-        available.push(col.id);
-      }
+    this.shadowRoot.querySelectorAll('input.announceable').forEach(input => {
+      input.classList.remove('announceable');
+    });
+    this.shadowRoot.querySelectorAll('input[data-row][title]').forEach(input => {
+      input.removeAttribute('title');
     });
-    return available;
-  }
-
-  #updateMaxRollsForAvailableColumns() {
-    const availableColumns = this.#getAvailableColumns();
-    gameState.updateMaxRollsFromColumns(availableColumns);
   }
 
-  #isGameOver() {
-    const allCells = this.shadowRoot.querySelectorAll('input[data-row]');
-    const savedOrScratched = this.shadowRoot.querySelectorAll('input[data-row].saved, input[data-row].scratched');
-    return allCells.length === savedOrScratched.length;
+  #showActivePlayer() {
+    this.#playerNameEl.textContent = gameState.playerName;
+    this.#clearAvailableCells();
+    this.#render();
   }
 
   #reset() {
-    // Clear all cells
-    this.shadowRoot.querySelectorAll('input').forEach(input => {
-      input.value = '';
-      input.classList.remove('available', 'saved', 'scratched');
-    });
-
-    // Reset column states
-    this.#thead.querySelectorAll('th.scratched').forEach(th => {
-      th.classList.remove('scratched');
-    });
-    Object.keys(this.#columnStates).forEach(col => {
-      this.#columnStates[col].scratched = false;
-    });
-
-    this.#playerNameEl.textContent = '';
-
-    // Reset max rolls to default (all columns available)
-    this.#updateMaxRollsForAvailableColumns();
+    this.hideMatchResult();
+    this.#render();
+    this.#playerNameEl.textContent = gameState.players.length > 1 ? gameState.playerName : '';
   }
 
   // ==========================================================================
@@ -561,14 +658,24 @@ export class YamboSheet extends HTMLElement {
     this.#updateAvailableCells();
   }
 
+  /**
+   * Save a move as if its cell was clicked (shift+clicked for a scratch)
+   * @param {{column: string, row: string, scratch: boolean}} move
+   */
+  saveMove(move) {
+    const input = this.#cells[move.column]?.[move.row];
+    if (input) {
+      this.#saveScore(input, move.scratch);
+    }
+  }
+
   /**
    * Get total score for a column
    * @param {string} colId - Column ID
    * @returns {number}
    */
   getColumnTotal(colId) {
-    const input = this.shadowRoot.querySelector(`.grand-total[data-col="${colId}"]`);
-    return parseInt(input?.value, 10) || 0;
+    return gameState.sheet.getColumnTotal(colId);
   }
 
   /**
@@ -576,11 +683,7 @@ export class YamboSheet extends HTMLElement {
    * @returns {number}
    */
   getGrandTotal() {
-    let total = 0;
-    COLUMNS.forEach(col => {
-      total += this.getColumnTotal(col.id);
-    });
-    return total;
+    return gameState.sheet.getGrandTotal();
   }
 
   /**
@@ -588,7 +691,84 @@ export class YamboSheet extends HTMLElement {
    * @returns {boolean}
    */
   get isGameOver() {
-    return this.#isGameOver();
+    return gameState.players.every(player => player.sheet.isComplete());
+  }
+
+  /**
+   * Show rule explanations on cells (why a cell is blocked, how to scratch)
+   * @param {boolean} enabled
+   */
+  set tooltips(enabled) {
+    this.#tooltips = enabled;
+    gameState.sheet.columns.forEach(col => this.#renderTotals(col.id));
+    this.#updateAvailableCells();
+  }
+
+  /**
+   * Check if cell tooltips are shown
+   * @returns {boolean}
+   */
+  get tooltips() {
+    return this.#tooltips;
+  }
+
+  /**
+   * Show the odds overlay (chance of each combination with the rolls left)
+   * @param {boolean} enabled
+   */
+  set showOdds(enabled) {
+    this.#showOdds = enabled;
+    this.#updateOdds();
+  }
+
+  /**
+   * Check if the odds overlay is shown
+   * @returns {boolean}
+   */
+  get showOdds() {
+    return this.#showOdds;
+  }
+
+  /**
+   * Show the column-win result of a multiplayer game below the sheet
+   * @param {Object} result - Match result (see scoreMatch())
+   */
+  showMatchResult(result) {
+    const names = gameState.players.map(player => escapeHtml(player.name));
+    const cells = (values, won = () => false, format = v => v) =>
+      values.map((v, i) => `<td class="${won(i) ? 'won' : ''}">${format(v)}</td>`).join('');
+    const points = v => Math.round(v * 100) / 100;
+
+    const winners = result.winners.map(i => names[i]);
+    const title = winners.length > 1 ? `Draw: ${winners.join(', ')}` : `${winners[0]} wins the match!`;
+
+    this.#matchResultEl.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Column</th>${names.map(name => `<th>${name}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${result.columns.map(col => `
+            <tr>
+              <td>${escapeHtml(col.label)} (${col.points})</td>
+              ${cells(col.totals, i => col.winners.includes(i))}
+            </tr>
+          `).join('')}
+          <tr class="total-row"><td>Points</td>${cells(result.points, i => result.winners.includes(i), points)}</tr>
+          <tr class="total-row"><td>Total</td>${cells(result.totals)}</tr>
+        </tbody>
+      </table>
+      <div class="winner">${title}</div>
+    `;
+    this.#matchResultEl.hidden = false;
+  }
+
+  /**
+   * Hide the match result
+   */
+  hideMatchResult() {
+    this.#matchResultEl.hidden = true;
+    this.#matchResultEl.innerHTML = '';
   }
 
   /**
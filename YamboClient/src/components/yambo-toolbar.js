@@ -5,6 +5,9 @@
 
 import { audioService } from '../services/audio-service.js';
 import { gameState } from '../services/game-state.js';
+import { diceEngine } from '../services/dice-engine.js';
+import { saveManager } from '../services/save-manager.js';
+import { createRecord, parseRecord, countDraws } from '../services/game-record.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -83,6 +86,10 @@ template.innerHTML = `
       opacity: 0.5;
       cursor: not-allowed;
     }
+
+    button.active {
+      background: var(--brand-color1, #009933);
+    }
   </style>
 
   <div class="toolbar">
@@ -94,7 +101,14 @@ template.innerHTML = `
         <li data-panel="options" title="Options">O</li>
       </ul>
       <div class="game-actions">
+        <button type="button" class="btn-undo" title="Undo (Ctrl+Z)" disabled>Undo</button>
+        <button type="button" class="btn-redo" title="Redo (Ctrl+Y)" disabled>Redo</button>
+        <button type="button" class="btn-export" title="Download this game as a JSON record">Export</button>
+        <button type="button" class="btn-import" title="Load a game from a JSON record">Import</button>
+        <button type="button" class="btn-replay" title="Watch this game from the start">Replay</button>
+        <button type="button" class="btn-practice" title="Set the dice by hand to try out cells and rules" aria-pressed="false">Practice</button>
         <button type="button" class="btn-new-game">New Game</button>
+        <input type="file" class="import-file" accept=".json,application/json" hidden />
       </div>
     </div>
   </div>
@@ -103,6 +117,13 @@ template.innerHTML = `
 export class YamboToolbar extends HTMLElement {
   #panelIcons;
   #newGameBtn;
+  #undoBtn;
+  #redoBtn;
+  #exportBtn;
+  #importBtn;
+  #importInput;
+  #replayBtn;
+  #practiceBtn;
 
   constructor() {
     super();
@@ -118,6 +139,13 @@ export class YamboToolbar extends HTMLElement {
   #cacheElements() {
     this.#panelIcons = this.shadowRoot.querySelectorAll('.panel-icons li');
     this.#newGameBtn = this.shadowRoot.querySelector('.btn-new-game');
+    this.#undoBtn = this.shadowRoot.querySelector('.btn-undo');
+    this.#redoBtn = this.shadowRoot.querySelector('.btn-redo');
+    this.#exportBtn = this.shadowRoot.querySelector('.btn-export');
+    this.#importBtn = this.shadowRoot.querySelector('.btn-import');
+    this.#importInput = this.shadowRoot.querySelector('.import-file');
+    this.#replayBtn = this.shadowRoot.querySelector('.btn-replay');
+    this.#practiceBtn = this.shadowRoot.querySelector('.btn-practice');
   }
 
   #bindEvents() {
@@ -134,6 +162,103 @@ export class YamboToolbar extends HTMLElement {
     this.#newGameBtn.addEventListener('click', () => {
       this.#confirmNewGame();
     });
+
+    // Practice games: dice set by hand
+    this.#practiceBtn.addEventListener('click', () => this.#togglePractice());
+    gameState.on('practiceChange', (e) => this.#showPractice(e.detail.practice));
+    this.#showPractice(gameState.isPractice);
+
+    // Game records
+    this.#exportBtn.addEventListener('click', () => this.#exportGame());
+    this.#importBtn.addEventListener('click', () => this.#importInput.click());
+    this.#importInput.addEventListener('change', () => this.#importGame());
+    this.#replayBtn.addEventListener('click', () => this.#replayGame());
+
+    // Undo / redo buttons and shortcuts (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z)
+    this.#undoBtn.addEventListener('click', () => this.#undo());
+    this.#redoBtn.addEventListener('click', () => this.#redo());
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, select, textarea')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.#undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        this.#redo();
+      }
+    });
+
+    gameState.on('historyChange', (e) => {
+      this.#undoBtn.disabled = !e.detail.canUndo;
+      this.#redoBtn.disabled = !e.detail.canRedo;
+    });
+
+    // Nothing but export works on a replay
+    gameState.on('readOnlyChange', (e) => {
+      const { readOnly } = e.detail;
+      [this.#newGameBtn, this.#practiceBtn, this.#importBtn, this.#replayBtn].forEach(btn => { btn.disabled = readOnly; });
+      if (readOnly) {
+        this.#undoBtn.disabled = this.#redoBtn.disabled = true;
+      }
+    });
+  }
+
+  #undo() {
+    if (!gameState.undo()) {
+      audioService.playError();
+    }
+  }
+
+  #redo() {
+    if (!gameState.redo()) {
+      audioService.playError();
+    }
+  }
+
+  #exportGame() {
+    const record = createRecord(gameState);
+    const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = record.createdAt.slice(0, 10);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yambo-${date}-${record.seed}.json`;
+    link.click();
+    // Revoking right away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  async #importGame() {
+    const file = this.#importInput.files[0];
+    this.#importInput.value = '';
+    if (!file) return;
+
+    try {
+      const record = parseRecord(await file.text());
+      if (!confirm(`Load the game from ${file.name}? Current progress will be lost.`)) return;
+
+      gameState.loadRecord(record);
+
+      // Carry on rolling where the recorded dice stopped
+      diceEngine.seed = gameState.seed;
+      diceEngine.skip(countDraws(record));
+      saveManager.autosave();
+
+      audioService.play('woosh');
+    } catch (e) {
+      audioService.playError();
+      alert(`Could not import ${file.name}\n${e.message}`);
+    }
+  }
+
+  #replayGame() {
+    this.dispatchEvent(new CustomEvent('replay', {
+      bubbles: true,
+      detail: { record: createRecord(gameState) }
+    }));
   }
 
   #togglePanel(panelName) {
@@ -158,6 +283,23 @@ export class YamboToolbar extends HTMLElement {
     }
   }
 
+  #togglePractice() {
+    const practice = !gameState.isPractice;
+    const question = practice
+      ? 'Start a practice game? You set the dice yourself. Current progress will be lost.'
+      : 'Leave practice and start a new game? Current progress will be lost.';
+    if (!confirm(question)) return;
+
+    gameState.practice = practice;
+    audioService.play('woosh');
+  }
+
+  #showPractice(practice) {
+    this.#practiceBtn.classList.toggle('active', practice);
+    this.#practiceBtn.setAttribute('aria-pressed', String(practice));
+    this.#practiceBtn.textContent = practice ? 'End Practice' : 'Practice';
+  }
+
   // ==========================================================================
   // Public API
   // ==========================================================================
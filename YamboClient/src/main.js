@@ -8,6 +8,18 @@ import { DiceEngine, diceEngine } from './services/dice-engine.js';
 import { AudioService, audioService } from './services/audio-service.js';
 import { GameState, gameState } from './services/game-state.js';
 import { ThemeManager, themeManager } from './services/theme-manager.js';
+import { RulesEngine } from './services/rules-engine.js';
+import * as rulesets from './services/ruleset.js';
+import { HintEngine, hintEngine } from './services/hint-engine.js';
+import { AiPlayer } from './services/ai-player.js';
+import { scoreMatch } from './services/match-scoring.js';
+import { SaveManager, saveManager } from './services/save-manager.js';
+import * as gameRecord from './services/game-record.js';
+import * as gameReducer from './services/game-reducer.js';
+import { Replay } from './services/replay.js';
+import { DailyChallenge, dailyChallenge } from './services/daily-challenge.js';
+import * as resultCard from './services/result-card.js';
+import { TurnTimer, turnTimer } from './services/turn-timer.js';
 
 // Utils (Phase 2)
 import * as dom from './utils/dom-helpers.js';
@@ -19,6 +31,9 @@ import { YamboOptions } from './components/yambo-options.js';
 import { YamboToolbar } from './components/yambo-toolbar.js';
 import { YamboDice } from './components/yambo-dice.js';
 import { YamboSheet } from './components/yambo-sheet.js';
+import { YamboReplay } from './components/yambo-replay.js';
+import { YamboDaily } from './components/yambo-daily.js';
+import { YamboShare } from './components/yambo-share.js';
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
@@ -27,6 +42,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Initialize theme (applies saved theme to body)
   themeManager.init();
 
+  // Seed the dice engine with the game's seed so every game can be replayed
+  diceEngine.seed = gameState.seed;
+  gameState.on('reset', (e) => {
+    diceEngine.seed = e.detail.seed;
+  });
+
+  // Roll the dice the ruleset asks for
+  diceEngine.configure(gameState.ruleset.dice);
+  gameState.on('rulesetChange', (e) => {
+    diceEngine.configure(e.detail.ruleset.dice);
+  });
+
   // Initialize audio (requires user interaction for autoplay policy)
   // Audio will be initialized on first user interaction
   document.addEventListener('click', async () => {
@@ -38,6 +65,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   const sheetComponent = document.querySelector('yambo-sheet');
   const logComponent = document.querySelector('yambo-log');
   const optionsComponent = document.querySelector('yambo-options');
+  const toolbarComponent = document.querySelector('yambo-toolbar');
+  const replayComponent = document.querySelector('yambo-replay');
+  const shareComponent = document.querySelector('yambo-share');
 
   // When dice are rolled, update sheet
   diceComponent?.addEventListener('rollcomplete', (e) => {
@@ -51,17 +81,83 @@ document.addEventListener('DOMContentLoaded', async () => {
     logComponent?.logCombination(e.detail.name);
   });
 
+  // Computer players take their turns straight away, until a human is up
+  const playAiTurns = () => {
+    while (!gameState.isGameOver && !gameState.isReadOnly && gameState.activePlayer.ai) {
+      gameState.playAiTurn(diceEngine);
+      gameState.nextTurn();
+    }
+  };
+
+  // A new game may open with a computer player
+  gameState.on('reset', () => setTimeout(playAiTurns));
+
   // When score is saved, log it and advance turn
   sheetComponent?.addEventListener('scoresaved', (e) => {
     const { row, value, column } = e.detail;
     logComponent?.logSave(row, value);
     gameState.nextTurn();
     diceComponent?.clearHeld();
+    playAiTurns();
   });
 
-  // When game is over
+  // Announcements of computer players are logged with the rest of their turn
+  gameState.on('announce', (e) => {
+    if (!gameState.activePlayer.ai) {
+      const { column, row } = e.detail;
+      logComponent?.logAnnounce(`${gameState.sheet.getRow(row).label} (${gameState.sheet.getColumn(column).label})`);
+    }
+  });
+
+  // Practice games: dice set by hand are logged like rolls
+  gameState.on('reset', () => {
+    if (gameState.isPractice && !gameState.isReadOnly) {
+      logComponent?.logPractice();
+    }
+  });
+
+  gameState.on('diceSet', (e) => {
+    logComponent?.logDiceSet(e.detail.values);
+  });
+
+  gameState.on('columnScratch', (e) => {
+    const { column, rows } = e.detail;
+    logComponent?.logColumnScratch(gameState.sheet.getColumn(column).label, rows.length);
+  });
+
+  gameState.on('aiTurn', (e) => {
+    const { index, name, rolls, announced, move } = e.detail;
+    logComponent?.logAiTurn(name, { rolls, announced, move }, gameState.players[index].sheet);
+  });
+
+  gameState.on('playerChange', (e) => {
+    if (!e.detail.player.ai && !gameState.isGameOver) {
+      logComponent?.logPlayerTurn(e.detail.player.name);
+    }
+  });
+
+  // When game is over, show the result card to share
   sheetComponent?.addEventListener('gameover', () => {
-    logComponent?.logGameOver();
+    const card = shareComponent?.show() ?? resultCard.createResultCard(gameState);
+    logComponent?.logGameOver(card);
+
+    // Multiplayer games are won on column points
+    const players = gameState.players;
+    if (players.length > 1) {
+      const result = scoreMatch(players.map(player => player.sheet));
+      const names = players.map(player => dom.escapeHtml(player.name));
+
+      players.forEach((_, i) => {
+        logComponent?.addMessage({ message: `${names[i]}: ${result.points[i]} points (${result.totals[i]})` });
+      });
+
+      const winners = result.winners.map(i => names[i]);
+      logComponent?.addMessage({
+        message: winners.length > 1 ? ` -- Draw: ${winners.join(', ')} --` : ` -- ${winners[0]} wins! --`
+      });
+
+      sheetComponent?.showMatchResult(result);
+    }
   });
 
   // When options change
@@ -69,8 +165,105 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (e.detail.setting === 'juggleTime' && diceComponent) {
       diceComponent.juggleTime = e.detail.value;
     }
+    if (e.detail.setting === 'tooltips' && sheetComponent) {
+      sheetComponent.tooltips = e.detail.value;
+    }
+    if (e.detail.setting === 'odds' && sheetComponent) {
+      sheetComponent.showOdds = e.detail.value;
+    }
+  });
+
+  if (optionsComponent && sheetComponent) {
+    sheetComponent.tooltips = optionsComponent.isTooltipsEnabled;
+    sheetComponent.showOdds = optionsComponent.isOddsEnabled;
+  }
+
+  gameState.on('load', () => {
+    if (!gameState.isReadOnly) {
+      logComponent?.addMessage({ message: ' -- Game loaded --', isTimed: true });
+    }
+  });
+
+  // Replays: the log lists the moves so far, a step forward rolls the dice
+  toolbarComponent?.addEventListener('replay', (e) => {
+    replayComponent?.start(e.detail.record);
+  });
+
+  const logReplay = (moves) => {
+    const players = gameState.players;
+    logComponent?.clearMessages();
+    logComponent?.addMessage({ message: ' -- Replay --' });
+    moves.forEach(move => logComponent?.logMove(move, players[move.player].name, gameState.sheet));
+  };
+
+  replayComponent?.addEventListener('replaystart', () => logReplay([]));
+
+  replayComponent?.addEventListener('replaystep', (e) => {
+    const { move, stepped, moves } = e.detail;
+    logReplay(moves);
+    if (stepped && move.type === 'roll') {
+      diceComponent?.showRoll(move.values, move.held);
+    }
   });
 
+  replayComponent?.addEventListener('replayend', () => {
+    logComponent?.addMessage({ message: ' -- Back to your game --', isTimed: true });
+  });
+
+  // Timed turns: out of time, the dice are played as if the chosen cell was clicked
+  turnTimer.start();
+  turnTimer.on('expire', (e) => {
+    const { policy, move } = e.detail;
+    logComponent?.logTimeout(policy);
+    if (!move) return;
+
+    if (move.rolled) {
+      logComponent?.logRoll(gameState.rollCount, gameState.diceValues);
+    }
+    sheetComponent?.saveMove(move);
+  });
+
+  // Daily challenges deal everyone the same dice
+  dailyChallenge.start();
+  dailyChallenge.on('result', (e) => {
+    const { result, rank } = e.detail;
+    logComponent?.addMessage({ message: ` -- Daily ${result.date}: ${result.score}, #${rank} today --` });
+  });
+
+  // Offer to pick up an unfinished game, then keep it saved
+  // The intro's Daily Challenge link goes on with today's challenge or starts it
+  let autosave = null;
+  try {
+    autosave = saveManager.getAutosave();
+  } catch (e) {
+    console.warn('Failed to read autosave:', e);
+  }
+  const resume = () => {
+    try {
+      saveManager.resume();
+    } catch (e) {
+      console.warn('Failed to resume game:', e);
+    }
+  };
+
+  if (new URLSearchParams(location.search).get('mode') === 'daily') {
+    const today = DailyChallenge.getDate();
+    if (autosave && DailyChallenge.getDateFromSeed(autosave.game.seed) === today) {
+      resume();
+    } else if (!autosave || confirm("Start today's challenge? Your unfinished game will be lost.")) {
+      dailyChallenge.play();
+    } else {
+      resume();
+    }
+  } else if (autosave) {
+    if (confirm('Resume your last game?')) {
+      resume();
+    } else {
+      saveManager.clearAutosave();
+    }
+  }
+  saveManager.start();
+
   // Log initialization complete
   console.log('Yambo components initialized:', {
     dice: !!diceComponent,
@@ -91,6 +284,22 @@ export {
   gameState,
   ThemeManager,
   themeManager,
+  RulesEngine,
+  rulesets,
+  HintEngine,
+  hintEngine,
+  AiPlayer,
+  scoreMatch,
+  SaveManager,
+  saveManager,
+  gameRecord,
+  gameReducer,
+  Replay,
+  DailyChallenge,
+  dailyChallenge,
+  resultCard,
+  TurnTimer,
+  turnTimer,
   // Utils
   dom,
   animation,
@@ -99,5 +308,8 @@ export {
   YamboOptions,
   YamboToolbar,
   YamboDice,
-  YamboSheet
+  YamboSheet,
+  YamboReplay,
+  YamboDaily,
+  YamboShare
 };
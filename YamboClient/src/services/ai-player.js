@@ -0,0 +1,208 @@
+/**
+ * AI Player Service
+ * Computer opponents that play a sheet through the same rules as a human:
+ * roll, choose holds, then save or scratch a cell
+ * No DOM dependencies - works on a RulesEngine and a DiceEngine
+ */
+
+import { hintEngine } from './hint-engine.js';
+import { RulesEngine } from './rules-engine.js';
+
+// Points a hard opponent adds per restriction of a column (fewer tries, fixed order)
+const RESTRICTION_WEIGHT = 2;
+
+export class AiPlayer {
+  static DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+  static LABELS = {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard'
+  };
+
+  #difficulty;
+  #name;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.difficulty='medium'] - easy (greedy), medium (one roll ahead) or hard (expected value)
+   * @param {string} [options.name] - Display name, defaults to "Computer (<difficulty>)"
+   */
+  constructor(options = {}) {
+    const { difficulty = 'medium', name } = options;
+
+    if (!AiPlayer.DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Unknown AI difficulty "${difficulty}"`);
+    }
+
+    this.#difficulty = difficulty;
+    this.#name = name || `Computer (${AiPlayer.LABELS[difficulty]})`;
+  }
+
+  get difficulty() {
+    return this.#difficulty;
+  }
+
+  get name() {
+    return this.#name;
+  }
+
+  // ==========================================================================
+  // Turn
+  // ==========================================================================
+
+  /**
+   * Play a full turn on a sheet: roll, hold, and save (or scratch) one cell
+   * @param {RulesEngine} sheet - Sheet of the computer player, updated in place
+   * @param {DiceEngine} dice - Dice to roll with
+   * @returns {{rolls: Array<{values: number[], held: boolean[]}>, announced: Object|null, move: Object}|null}
+   *   Every roll with the dice held going into it, the cell announced after the
+   *   first roll (announce columns) and the move played; null if the sheet is full
+   */
+  playTurn(sheet, dice) {
+    let maxRolls = sheet.getMaxRolls();
+    if (maxRolls === 0) return null;
+
+    const rolls = [];
+    let held = Array(dice.count).fill(false);
+    let values = null;
+    let announced = null;
+
+    while (held) {
+      values = values ? dice.rollUnheld(values, held) : dice.rollAll();
+      rolls.push({ values, held });
+
+      if (rolls.length === 1) {
+        announced = this.chooseAnnouncement(sheet, values, 1);
+        if (announced) {
+          sheet.announce(announced.column, announced.row);
+          maxRolls = Math.min(maxRolls, sheet.getColumn(announced.column).maxTries);
+        } else {
+          maxRolls = Math.min(maxRolls, sheet.getMaxRolls({ announce: false }));
+        }
+      }
+      held = this.chooseHolds(sheet, values, rolls.length, maxRolls);
+    }
+
+    const move = this.chooseMove(sheet, values, rolls.length);
+    sheet.place(move.column, move.row, move.score);
+
+    return { rolls, announced, move };
+  }
+
+  /**
+   * Decide whether to announce a cell of an announce column
+   * The computer announces when it has to, or when the dice already score
+   * better there than anywhere else
+   * @param {RulesEngine} sheet
+   * @param {number[]} values - Dice of the first roll
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {{column: string, row: string}|null} Cell to announce, or null
+   */
+  chooseAnnouncement(sheet, values, rollCount) {
+    const cells = sheet.getAnnounceableCells(rollCount);
+    if (cells.length === 0) return null;
+
+    const bestValue = (s) => s.getLegalMoves(values, rollCount)
+      .reduce((best, move) => Math.max(best, this.#valueMove(s, move)), -Infinity);
+
+    const best = cells.map(cell => {
+      const copy = new RulesEngine(sheet.ruleset, sheet.toJSON());
+      copy.announce(cell.column, cell.row);
+      return { cell, value: bestValue(copy) };
+    }).reduce((a, b) => b.value > a.value ? b : a);
+
+    return sheet.needsAnnouncement(rollCount) || best.value > bestValue(sheet) ? best.cell : null;
+  }
+
+  /**
+   * Decide which dice to hold for the next roll
+   * @param {RulesEngine} sheet
+   * @param {number[]} values - Current dice values
+   * @param {number} rollCount - Rolls taken this turn (at least 1)
+   * @param {number} maxRolls - Rolls allowed this turn
+   * @returns {boolean[]|null} Hold state per die, or null to stop rolling and save
+   */
+  chooseHolds(sheet, values, rollCount, maxRolls) {
+    if (rollCount >= maxRolls) return null;
+
+    if (this.#difficulty === 'easy') {
+      return this.#greedyHolds(sheet, values, rollCount);
+    }
+
+    // Medium only looks one roll ahead, hard searches every roll left
+    const horizon = this.#difficulty === 'medium' ? rollCount + 1 : maxRolls;
+    const hint = hintEngine.recommendHolds(sheet, values, rollCount, horizon, (s, move) => this.#evaluate(s, move));
+
+    return hint.placeNow ? null : hint.held;
+  }
+
+  /**
+   * Pick the move to play with the current dice
+   * @param {RulesEngine} sheet
+   * @param {number[]} values
+   * @param {number} rollCount
+   * @returns {Object} Legal move (see RulesEngine.getLegalMoves())
+   */
+  chooseMove(sheet, values, rollCount) {
+    return sheet.getLegalMoves(values, rollCount).reduce((best, move) => {
+      const value = this.#valueMove(sheet, move);
+      return !best || value > best.value ? { move, value } : best;
+    }, null).move;
+  }
+
+  /**
+   * Value a move the way this opponent does: easy goes for the score
+   * @param {RulesEngine} sheet
+   * @param {Object} move
+   * @returns {number}
+   */
+  #valueMove(sheet, move) {
+    return this.#difficulty === 'easy' ? move.score : this.#evaluate(sheet, move);
+  }
+
+  // ==========================================================================
+  // Strategies
+  // ==========================================================================
+
+  /**
+   * Greedy holds: stop on any combination, otherwise keep the most common face
+   * @param {RulesEngine} sheet
+   * @param {number[]} values
+   * @param {number} rollCount
+   * @returns {boolean[]|null}
+   */
+  #greedyHolds(sheet, values, rollCount) {
+    const made = sheet.getLegalMoves(values, rollCount).some(move => {
+      const row = sheet.getRow(move.row);
+      return !move.scratch && row.section === 'lower' && row.scoring !== 'sum';
+    });
+    if (made) return null;
+
+    const counts = {};
+    values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+    const face = values.reduce((best, v) =>
+      counts[v] > counts[best] || (counts[v] === counts[best] && v > best) ? v : best);
+
+    return values.map(v => v === face);
+  }
+
+  /**
+   * Move valuation of the medium and hard opponents
+   * Hard also prefers spending turns on restricted columns, keeping the
+   * free 3-try columns open for bad rolls
+   * @param {RulesEngine} sheet
+   * @param {Object} move
+   * @returns {number}
+   */
+  #evaluate(sheet, move) {
+    const value = hintEngine.evaluateMove(sheet, move);
+    if (this.#difficulty !== 'hard') return value;
+
+    const col = sheet.getColumn(move.column);
+    const maxTries = Math.max(...sheet.columns.map(c => c.maxTries));
+    const restrictions = (maxTries - col.maxTries) + (col.order === 'random' ? 0 : 1);
+
+    return value + restrictions * RESTRICTION_WEIGHT;
+  }
+}
@@ -243,6 +243,13 @@ export class AudioService {
     this.play(AudioService.FX.scratch);
   }
 
+  /**
+   * Play the clock sound (last seconds of a timed turn)
+   */
+  playTimer() {
+    this.play(AudioService.FX.timer);
+  }
+
   /**
    * Play error sound
    */
@@ -0,0 +1,264 @@
+/**
+ * Daily Challenge Service
+ * One solo game a day whose dice come from the date: everyone playing on the
+ * same day gets the same dice for the same roll of the same turn, whatever
+ * they hold. Results are kept in localStorage for a per-day leaderboard and
+ * a history of past challenges
+ */
+
+import { gameState as defaultGameState } from './game-state.js';
+import { diceEngine as defaultDiceEngine } from './dice-engine.js';
+import { DEFAULT_RULESET } from './ruleset.js';
+import { getMaxTries } from './game-reducer.js';
+
+const SEED_PREFIX = 'daily-';
+const RESULTS_KEY = 'yambo-daily';
+
+// Results kept, oldest dropped first
+const MAX_RESULTS = 500;
+
+export class DailyChallenge extends EventTarget {
+  #gameState;
+  #diceEngine;
+  #started = false;
+  #finishedGame = null;
+
+  /**
+   * @param {GameState} [gameState] - Game the challenges are played in
+   * @param {DiceEngine} [diceEngine] - Dice the game is rolled with
+   */
+  constructor(gameState = defaultGameState, diceEngine = defaultDiceEngine) {
+    super();
+    this.#gameState = gameState;
+    this.#diceEngine = diceEngine;
+  }
+
+  // ==========================================================================
+  // Dates and Seeds
+  // ==========================================================================
+
+  /**
+   * Get the challenge date of a day (local time)
+   * @param {Date} [date=new Date()]
+   * @returns {string} YYYY-MM-DD
+   */
+  static getDate(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get the dice seed of a challenge
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string}
+   */
+  static getSeed(date) {
+    return `${SEED_PREFIX}${date}`;
+  }
+
+  /**
+   * Get the challenge date of a dice seed
+   * @param {number|string} seed
+   * @returns {string|null} YYYY-MM-DD, or null for other games
+   */
+  static getDateFromSeed(seed) {
+    const match = /^daily-(\d{4}-\d{2}-\d{2})$/.exec(String(seed));
+    return match ? match[1] : null;
+  }
+
+  // ==========================================================================
+  // Playing
+  // ==========================================================================
+
+  /**
+   * Check if the game in progress is a daily challenge
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.date !== null;
+  }
+
+  /**
+   * Get the date of the challenge in progress
+   * @returns {string|null}
+   */
+  get date() {
+    return DailyChallenge.getDateFromSeed(this.#gameState.seed);
+  }
+
+  /**
+   * Keep the dice in step with challenges and record their results
+   */
+  start() {
+    if (this.#started) return;
+    this.#started = true;
+
+    // Loads and imports re-seed the dice after their events, so line up afterwards
+    ['reset', 'load', 'restore', 'rollChange', 'turnChange'].forEach(type => {
+      this.#gameState.on(type, () => queueMicrotask(() => this.#align()));
+    });
+    this.#gameState.on('gameOver', () => this.#finish());
+    this.#align();
+  }
+
+  /**
+   * Start today's challenge: a solo game with the classic rules
+   * @param {string} [name] - Player name, defaults to the current first player
+   */
+  play(name = this.#gameState.players[0].name) {
+    this.#gameState.dispatch({
+      type: 'newGame',
+      seed: DailyChallenge.getSeed(DailyChallenge.getDate()),
+      ruleset: DEFAULT_RULESET,
+      players: [{ name }]
+    });
+  }
+
+  /**
+   * Put the dice where the challenge is: every turn has room for its full
+   * rolls of every die, so the draw of a die depends on the turn, roll and
+   * die alone
+   */
+  #align() {
+    const dice = this.#diceEngine;
+    dice.fixedDraws = this.isActive;
+    if (!this.isActive) return;
+
+    const { turn, rollCount, ruleset } = this.#gameState;
+    if (dice.seed !== this.#gameState.seed) {
+      dice.seed = this.#gameState.seed;
+    }
+    dice.seek((turn * getMaxTries(ruleset) + rollCount) * ruleset.dice.count);
+  }
+
+  /**
+   * Record the result of a challenge that just ended
+   * A game is recorded once, even when undo lets it end again
+   */
+  #finish() {
+    const date = this.date;
+    const game = this.#gameState.actions[0];
+    if (!date || game === this.#finishedGame) return;
+    this.#finishedGame = game;
+
+    const player = this.#gameState.players[0];
+    const result = {
+      date,
+      name: player.name,
+      score: player.sheet.getGrandTotal(),
+      finishedAt: new Date().toISOString()
+    };
+
+    const results = [...this.#readResults(), result].slice(-MAX_RESULTS);
+    this.#writeResults(results);
+
+    const rank = this.getLeaderboard(date).findIndex(r => r.finishedAt === result.finishedAt) + 1;
+    this.#emit('result', { result, rank });
+  }
+
+  // ==========================================================================
+  // Results
+  // ==========================================================================
+
+  /**
+   * Get the results of a day, best first (earlier finishes win ties)
+   * @param {string} [date] - YYYY-MM-DD, defaults to today
+   * @returns {Array<{date: string, name: string, score: number, finishedAt: string}>}
+   */
+  getLeaderboard(date = DailyChallenge.getDate()) {
+    return this.#readResults()
+      .filter(result => result.date === date)
+      .sort((a, b) => b.score - a.score || a.finishedAt.localeCompare(b.finishedAt));
+  }
+
+  /**
+   * Get one line per day played, newest first
+   * @returns {Array<{date: string, games: number, best: {name: string, score: number}}>}
+   */
+  getHistory() {
+    const days = new Map();
+    this.#readResults().forEach(result => {
+      const day = days.get(result.date) ?? { date: result.date, games: 0, best: result };
+      day.games++;
+      if (result.score > day.best.score) day.best = result;
+      days.set(result.date, day);
+    });
+
+    return [...days.values()]
+      .map(({ date, games, best }) => ({ date, games, best: { name: best.name, score: best.score } }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Forget every daily result
+   */
+  clearResults() {
+    this.#writeResults([]);
+  }
+
+  /**
+   * Check that a stored result has the shape #finish() writes
+   * @param {*} result
+   * @returns {boolean}
+   */
+  #isResult(result) {
+    return !!result && typeof result === 'object' && typeof result.date === 'string' &&
+      typeof result.name === 'string' && typeof result.finishedAt === 'string' && Number.isFinite(result.score);
+  }
+
+  /**
+   * Read the stored results, leaving out any of the wrong shape
+   * @returns {Object[]}
+   */
+  #readResults() {
+    try {
+      const stored = localStorage.getItem(RESULTS_KEY);
+      const results = stored ? JSON.parse(stored) : [];
+      return Array.isArray(results) ? results.filter(result => this.#isResult(result)) : [];
+    } catch (e) {
+      console.warn('Failed to read daily results:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Store the results and announce the change
+   * @param {Object[]} results
+   */
+  #writeResults(results) {
+    try {
+      localStorage.setItem(RESULTS_KEY, JSON.stringify(results));
+    } catch (e) {
+      console.warn('Failed to save daily results:', e);
+    }
+    this.#emit('resultsChange', {});
+  }
+
+  // ==========================================================================
+  // Event Helpers
+  // ==========================================================================
+
+  /**
+   * Emit a custom event
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Subscribe to challenge events
+   * @param {string} type - Event type (result, resultsChange)
+   * @param {Function} callback - Event handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, callback) {
+    this.addEventListener(type, callback);
+    return () => this.removeEventListener(type, callback);
+  }
+}
+
+// Singleton instance for convenience
+export const dailyChallenge = new DailyChallenge();
@@ -4,7 +4,174 @@
  * No DOM dependencies - can be used anywhere
  */
 
+import { createSeededRandom, cryptoRandom } from './random.js';
+import { evaluateFormula } from './formula.js';
+
 export class DiceEngine {
+  // Row scoring types a ruleset can refer to
+  static SCORING = ['upper', 'sum', 'threeOfAKind', 'fourOfAKind', 'fullHouse', 'straight', 'yambo'];
+
+  // Outcome distributions per "faces:count", shared by all instances
+  static #outcomes = new Map();
+
+  // Probability tables per "faces:count:target", shared by all instances
+  static #probabilities = new Map();
+
+  // Combination targets for getProbabilities()
+  static TARGETS = ['threeOfAKind', 'fourOfAKind', 'fullHouse', 'straight', 'yambo'];
+
+  #random = cryptoRandom;
+  #seed = null;
+  #draws = 0;
+  #fixedDraws = false;
+  #count = 5;
+  #faces = 6;
+
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for a deterministic random source
+   * @param {Function} [options.random] - Custom random source returning [0, 1)
+   * @param {{count: number, faces: number}} [options.dice] - Dice configuration from a ruleset
+   */
+  constructor(options = {}) {
+    if (options.dice) {
+      this.configure(options.dice);
+    }
+    if (options.seed !== undefined && options.seed !== null) {
+      this.seed = options.seed;
+    } else if (options.random) {
+      this.random = options.random;
+    }
+  }
+
+  // ==========================================================================
+  // Random Source
+  // ==========================================================================
+
+  /**
+   * Get the seed of the current random source
+   * @returns {number|string|null} Seed, or null when the source is not seeded
+   */
+  get seed() {
+    return this.#seed;
+  }
+
+  /**
+   * Seed the engine with a deterministic random source
+   * @param {number|string} value - Seed value
+   */
+  set seed(value) {
+    this.#seed = value;
+    this.#random = createSeededRandom(value);
+    this.#draws = 0;
+  }
+
+  /**
+   * Number of dice rolled since the random source was set
+   * Seeding again and skipping this many draws continues a seeded game
+   * @returns {number}
+   */
+  get draws() {
+    return this.#draws;
+  }
+
+  /**
+   * Advance the random source without rolling dice
+   * @param {number} count - Draws to skip
+   */
+  skip(count) {
+    for (let i = 0; i < count; i++) {
+      this.#random();
+    }
+    this.#draws += count;
+  }
+
+  /**
+   * Move a seeded source to a draw, forwards or backwards
+   * @param {number} draws - Draws from the seed
+   * @throws {Error} When the source is not seeded
+   */
+  seek(draws) {
+    if (this.#seed === null) {
+      throw new Error('Only a seeded random source can seek');
+    }
+    if (draws < this.#draws) {
+      this.seed = this.#seed;
+    }
+    this.skip(draws - this.#draws);
+  }
+
+  /**
+   * Check if every roll draws for all dice (see fixedDraws setter)
+   * @returns {boolean}
+   */
+  get fixedDraws() {
+    return this.#fixedDraws;
+  }
+
+  /**
+   * Draw a value for every die on every roll, held dice throwing theirs away
+   * Die n of a roll then gets the same draw whatever is held, so a seeded
+   * game deals everyone the same dice (daily challenges)
+   * @param {boolean} fixed
+   */
+  set fixedDraws(fixed) {
+    this.#fixedDraws = !!fixed;
+  }
+
+  /**
+   * Get the current random source
+   * @returns {Function}
+   */
+  get random() {
+    return this.#random;
+  }
+
+  /**
+   * Use a custom random source (clears the recorded seed)
+   * @param {Function} source - Function returning a float in [0, 1)
+   */
+  set random(source) {
+    if (typeof source === 'function') {
+      this.#seed = null;
+      this.#random = source;
+      this.#draws = 0;
+    }
+  }
+
+  // ==========================================================================
+  // Dice Configuration
+  // ==========================================================================
+
+  /**
+   * Apply the dice configuration of a ruleset
+   * @param {{count: number, faces: number}} dice
+   */
+  configure(dice) {
+    this.#count = dice.count;
+    this.#faces = dice.faces;
+  }
+
+  /**
+   * Number of dice in play
+   * @returns {number}
+   */
+  get count() {
+    return this.#count;
+  }
+
+  /**
+   * Number of faces per die
+   * @returns {number}
+   */
+  get faces() {
+    return this.#faces;
+  }
+
+  // ==========================================================================
+  // Combinations
+  // ==========================================================================
+
   /**
    * Calculate the total value of all dice
    * @param {number[]} values - Array of 5 dice values (1-6)
@@ -20,9 +187,9 @@ export class DiceEngine {
    * @returns {number[]} Array of 6 counts [count of 1s, count of 2s, ...]
    */
   getCounts(values) {
-    const counts = [0, 0, 0, 0, 0, 0];
+    const counts = new Array(this.#faces).fill(0);
     for (const val of values) {
-      if (val >= 1 && val <= 6) {
+      if (val >= 1 && val <= this.#faces) {
         counts[val - 1]++;
       }
     }
@@ -78,15 +245,16 @@ export class DiceEngine {
   }
 
   /**
-   * Check for straight (5 consecutive values)
+   * Check for straight (all dice consecutive values)
    * Small straight: 1-2-3-4-5 or Large straight: 2-3-4-5-6
    * @param {number[]} values - Array of 5 dice values
    * @returns {boolean}
    */
   isStraight(values) {
-    const has = (n) => values.includes(n);
-    // Must have 2, 3, 4, 5 and either 1 or 6
-    return has(2) && has(3) && has(4) && has(5) && (has(1) || has(6));
+    const unique = new Set(values);
+    // Every die different and no gaps between lowest and highest
+    return unique.size === values.length &&
+           Math.max(...unique) - Math.min(...unique) === values.length - 1;
   }
 
   /**
@@ -113,20 +281,263 @@ export class DiceEngine {
     };
   }
 
+  /**
+   * Get the variables a scoring formula sees for the given dice
+   * face is the row's face on upper rows, else the face most dice show
+   * (higher wins ties); large is 1 for a straight that doesn't start at 1
+   * @param {Object} row - Row definition
+   * @param {number[]} values - Array of 5 dice values
+   * @returns {{sum: number, count: number, face: number, large: number}}
+   */
+  getFormulaVariables(row, values) {
+    const counts = this.getCounts(values);
+    const face = row.face ?? counts.reduce((best, n, i) => (n >= counts[best - 1] ? i + 1 : best), 1);
+    return {
+      sum: this.getTotal(values),
+      count: counts[face - 1],
+      face,
+      large: this.isStraight(values) && Math.min(...values) > 1 ? 1 : 0
+    };
+  }
+
+  /**
+   * Score a ruleset row with the given dice
+   * A row with a formula scores it; otherwise combination rows score their
+   * fixed score, or the dice total without one. Combination rows score 0
+   * when the dice don't make the combination, whatever the formula
+   * @param {Object} row - Row definition ({scoring, face, fixedScore, formula})
+   * @param {number[]} values - Array of 5 dice values
+   * @returns {number}
+   */
+  scoreRow(row, values) {
+    if (row.formula) {
+      const made = row.scoring === 'upper' || row.scoring === 'sum' ||
+        this.getCombinations(values)[row.scoring];
+      return made ? evaluateFormula(row.formula, this.getFormulaVariables(row, values)) : 0;
+    }
+
+    switch (row.scoring) {
+      case 'upper':
+        return this.getUpperScore(values, row.face);
+      case 'sum':
+        return this.getTotal(values);
+      default:
+        if (!this.getCombinations(values)[row.scoring]) return 0;
+        return row.fixedScore ?? this.getTotal(values);
+    }
+  }
+
+  // ==========================================================================
+  // Outcomes
+  // ==========================================================================
+
+  /**
+   * Get every distinct outcome of rolling a number of dice, with its probability
+   * Outcomes are sorted values, since the order of dice never matters for scoring
+   * @param {number} count - Number of dice to roll
+   * @returns {Array<{values: number[], probability: number}>}
+   */
+  getOutcomes(count) {
+    const key = `${this.#faces}:${count}`;
+    if (DiceEngine.#outcomes.has(key)) {
+      return DiceEngine.#outcomes.get(key);
+    }
+
+    const factorial = (n) => (n <= 1 ? 1 : n * factorial(n - 1));
+    const permutations = this.#faces ** count;
+    const outcomes = [];
+
+    // Choose how many dice show each face, from face 1 up
+    const build = (face, remaining, values, arrangements) => {
+      if (face > this.#faces) {
+        if (remaining === 0) {
+          outcomes.push({ values, probability: arrangements / permutations });
+        }
+        return;
+      }
+      for (let n = 0; n <= remaining; n++) {
+        build(face + 1, remaining - n, [...values, ...new Array(n).fill(face)], arrangements / factorial(n));
+      }
+    };
+    build(1, count, [], factorial(count));
+
+    DiceEngine.#outcomes.set(key, outcomes);
+    return outcomes;
+  }
+
+  /**
+   * Get every distinct selection of dice that can be kept from a set of counts
+   * @param {number[]} counts - Dice per face, as returned by getCounts()
+   * @returns {number[][]} Kept dice per face
+   */
+  getKeeps(counts) {
+    return counts.reduce((acc, n) => acc.flatMap(keep =>
+      Array.from({ length: n + 1 }, (_, k) => [...keep, k])
+    ), [[]]);
+  }
+
+  /**
+   * Turn dice counts back into sorted dice values
+   * @param {number[]} counts - Dice per face
+   * @returns {number[]}
+   */
+  countsToValues(counts) {
+    return counts.flatMap((n, i) => new Array(n).fill(i + 1));
+  }
+
+  // ==========================================================================
+  // Probabilities
+  // ==========================================================================
+
+  /**
+   * Exact chance of hitting a target before the rolls run out
+   * The held dice stay put for the next roll; after that every roll
+   * keeps whatever gives the best chance of hitting the target
+   * @param {string|Object} target - 'threeOfAKind', 'fourOfAKind', 'fullHouse',
+   *   'straight', 'yambo', { kind: n } for n-of-a-kind, or
+   *   { face, count } for at least count dice showing face (upper rows)
+   * @param {number[]} held - Values of the held dice
+   * @param {number} rollsLeft - Rolls remaining this turn
+   * @returns {number} Probability between 0 and 1
+   */
+  getProbability(target, held, rollsLeft) {
+    const chance = this.#getChanceTable(target);
+    const counts = this.getCounts(held);
+
+    if (rollsLeft <= 0) {
+      return held.length === this.#count ? chance(counts, 0) : 0;
+    }
+
+    return this.getOutcomes(this.#count - held.length).reduce((acc, outcome) => {
+      const next = [...counts];
+      outcome.values.forEach(v => next[v - 1]++);
+      return acc + outcome.probability * chance(next, rollsLeft - 1);
+    }, 0);
+  }
+
+  /**
+   * Chances of every combination target
+   * @param {number[]} held - Values of the held dice
+   * @param {number} rollsLeft - Rolls remaining this turn
+   * @returns {Object} Map of target -> probability
+   */
+  getProbabilities(held, rollsLeft) {
+    const result = {};
+    DiceEngine.TARGETS.forEach(target => {
+      result[target] = this.getProbability(target, held, rollsLeft);
+    });
+    return result;
+  }
+
+  /**
+   * Check if a set of dice counts hits a probability target
+   * @param {string|Object} target
+   * @param {number[]} counts
+   * @returns {boolean}
+   */
+  #hitsTarget(target, counts) {
+    const best = Math.max(...counts);
+
+    if (typeof target === 'object') {
+      if (target.kind !== undefined) return best >= target.kind;
+      return counts[target.face - 1] >= target.count;
+    }
+
+    switch (target) {
+      case 'threeOfAKind':
+        return best >= 3;
+      case 'fourOfAKind':
+        return best >= 4;
+      default:
+        return !!this.getCombinations(this.countsToValues(counts))[target];
+    }
+  }
+
+  /**
+   * Get the memoized "chance to hit from here" function of a target
+   * @param {string|Object} target
+   * @returns {Function} (counts, rollsLeft) => probability, for a full set of dice
+   */
+  #getChanceTable(target) {
+    const key = `${this.#faces}:${this.#count}:${JSON.stringify(target)}`;
+    if (DiceEngine.#probabilities.has(key)) {
+      return DiceEngine.#probabilities.get(key);
+    }
+
+    const hits = new Map();
+    const states = new Map();
+    const keeps = new Map();
+
+    // Chance of a full set of dice, kept optimally from here on
+    const chance = (counts, rollsLeft) => {
+      const countsKey = counts.join(',');
+      if (!hits.has(countsKey)) {
+        hits.set(countsKey, this.#hitsTarget(target, counts));
+      }
+      if (hits.get(countsKey)) return 1;
+      if (rollsLeft === 0) return 0;
+
+      const stateKey = `${countsKey}:${rollsLeft}`;
+      if (!states.has(stateKey)) {
+        const best = Math.max(...this.getKeeps(counts).map(keep => reroll(keep, rollsLeft)));
+        states.set(stateKey, best);
+      }
+      return states.get(stateKey);
+    };
+
+    // Chance after keeping some dice and rolling the rest
+    const reroll = (keep, rollsLeft) => {
+      const keepKey = `${keep.join(',')}:${rollsLeft}`;
+      if (!keeps.has(keepKey)) {
+        const kept = keep.reduce((a, b) => a + b, 0);
+        const p = this.getOutcomes(this.#count - kept).reduce((acc, outcome) => {
+          const next = [...keep];
+          outcome.values.forEach(v => next[v - 1]++);
+          return acc + outcome.probability * chance(next, rollsLeft - 1);
+        }, 0);
+        keeps.set(keepKey, p);
+      }
+      return keeps.get(keepKey);
+    };
+
+    DiceEngine.#probabilities.set(key, chance);
+    return chance;
+  }
+
+  // ==========================================================================
+  // Rolling
+  // ==========================================================================
+
   /**
    * Generate a random dice roll (1-6)
    * @returns {number}
    */
   roll() {
-    return Math.floor(Math.random() * 6) + 1;
+    this.#draws++;
+    return Math.floor(this.#random() * this.#faces) + 1;
   }
 
   /**
-   * Generate 5 random dice values
+   * Generate random values for all dice
    * @returns {number[]}
    */
   rollAll() {
-    return Array.from({ length: 5 }, () => this.roll());
+    return Array.from({ length: this.#count }, () => this.roll());
+  }
+
+  /**
+   * Reroll the dice that are not held
+   * Dice are rolled in index order so a seeded source stays reproducible
+   * @param {number[]} values - Current dice values
+   * @param {boolean[]} held - Hold state per die
+   * @returns {number[]} New dice values (held dice keep their value)
+   */
+  rollUnheld(values, held) {
+    return values.map((val, i) => {
+      if (!held[i]) return this.roll();
+      if (this.#fixedDraws) this.roll();
+      return val;
+    });
   }
 }
 
@@ -0,0 +1,146 @@
+/**
+ * Formula Service
+ * Small arithmetic language for row scores in rulesets, e.g. "sum + 30" or
+ * "35 + 10 * large". Formulas are parsed into plain functions, never eval'd:
+ * numbers, the variables below, + - * /, unary minus and parentheses only
+ * No DOM dependencies
+ */
+
+// What a formula can refer to (see DiceEngine.scoreRow())
+export const FORMULA_VARIABLES = ['sum', 'count', 'face', 'large'];
+
+// Compiled formulas, by source
+const compiled = new Map();
+
+/**
+ * Split a formula into tokens
+ * @param {string} source
+ * @returns {Array<{type: string, value: string|number}>}
+ * @throws {Error} On a character that is not part of the language
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([a-zA-Z_]\w*)|([-+*/()]))/y;
+  let index = 0;
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`unexpected "${source.slice(index).trim()[0]}"`);
+    }
+
+    const [, number, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else tokens.push({ type: 'operator', value: operator });
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into a function of the variables
+ * Grammar: expression = term (("+" | "-") term)*
+ *          term       = factor (("*" | "/") factor)*
+ *          factor     = number | variable | "-" factor | "(" expression ")"
+ * @param {Array} tokens
+ * @param {string[]} variables - Names a formula may use
+ * @returns {Function} (vars) => number
+ * @throws {Error}
+ */
+function parse(tokens, variables) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+
+  const binary = (next, operators, apply) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      const operator = tokens[position++].value;
+      const a = left;
+      const b = next();
+      left = (vars) => apply(operator, a(vars), b(vars));
+    }
+    return left;
+  };
+
+  const factor = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('unexpected end');
+
+    if (token.type === 'number') {
+      const { value } = token;
+      return () => value;
+    }
+    if (token.type === 'name') {
+      if (!variables.includes(token.value)) {
+        throw new Error(`unknown variable "${token.value}", use ${variables.join(', ')}`);
+      }
+      const name = token.value;
+      return (vars) => vars[name] ?? 0;
+    }
+    if (token.value === '-') {
+      const operand = factor();
+      return (vars) => -operand(vars);
+    }
+    if (token.value === '(') {
+      const inner = expression();
+      if (!isOperator(')')) throw new Error('missing ")"');
+      position++;
+      return inner;
+    }
+    throw new Error(`unexpected "${token.value}"`);
+  };
+
+  const term = binary(factor, ['*', '/'], (op, a, b) => (op === '*' ? a * b : a / b));
+  const expression = binary(term, ['+', '-'], (op, a, b) => (op === '+' ? a + b : a - b));
+
+  const result = expression();
+  if (position < tokens.length) throw new Error(`unexpected "${peek().value}"`);
+  return result;
+}
+
+/**
+ * Compile a formula
+ * Scores are whole and never negative: results are rounded, and anything
+ * below zero or not a number scores 0
+ * @param {string} source - e.g. "sum + 30"
+ * @param {string[]} [variables=FORMULA_VARIABLES] - Names the formula may use
+ * @returns {Function} (vars) => number
+ * @throws {Error} When the formula can't be parsed
+ */
+export function compileFormula(source, variables = FORMULA_VARIABLES) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Invalid formula: expected a non-empty string');
+  }
+
+  let evaluate;
+  try {
+    evaluate = parse(tokenize(source), variables);
+  } catch (e) {
+    throw new Error(`Invalid formula "${source}": ${e.message}`);
+  }
+
+  return (vars) => {
+    const value = Math.round(evaluate(vars));
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  };
+}
+
+/**
+ * Evaluate a formula, compiling it once
+ * @param {string} source
+ * @param {Object} vars - Values of FORMULA_VARIABLES
+ * @returns {number}
+ * @throws {Error} When the formula can't be parsed
+ */
+export function evaluateFormula(source, vars) {
+  if (!compiled.has(source)) {
+    compiled.set(source, compileFormula(source));
+  }
+  return compiled.get(source)(vars);
+}
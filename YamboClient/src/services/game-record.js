@@ -0,0 +1,141 @@
+/**
+ * Game Record Service
+ * Versioned JSON document of a whole game: ruleset, seed, players and every
+ * move (rolls with their held dice, dice set in practice, announcements,
+ * placements, column scratches)
+ * See README "Game Records" for the format
+ */
+
+import { parseRuleset } from './ruleset.js';
+import { scoreMatch } from './match-scoring.js';
+
+export const RECORD_FORMAT = 'yambo-game';
+export const RECORD_VERSION = 1;
+
+const MOVE_TYPES = ['roll', 'setRoll', 'announce', 'place', 'scratchColumn'];
+
+/**
+ * Throw a game record validation error
+ * @param {string} message
+ */
+function invalid(message) {
+  throw new Error(`Invalid game record: ${message}`);
+}
+
+/**
+ * Build the record of a game
+ * @param {GameState} gameState
+ * @returns {Object} Game record, ready for JSON.stringify()
+ */
+export function createRecord(gameState) {
+  const players = gameState.players;
+  const sheets = players.map(player => player.sheet);
+
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    createdAt: new Date().toISOString(),
+    ruleset: gameState.ruleset,
+    seed: gameState.seed,
+    ...(gameState.isPractice && { practice: true }),
+    players: players.map(player => ({ name: player.name, difficulty: player.ai?.difficulty ?? null })),
+    moves: gameState.moves,
+    result: {
+      finished: gameState.isGameOver,
+      totals: sheets.map(sheet => sheet.getGrandTotal()),
+      ...(players.length > 1 && { points: scoreMatch(sheets).points })
+    }
+  };
+}
+
+/**
+ * Validate and normalize a game record
+ * Only the structure is checked here; GameState.loadRecord() replays the
+ * moves and rejects the ones the rules don't allow
+ * @param {Object|string} source - Record object or JSON string
+ * @returns {Object} Normalized record
+ * @throws {Error} When the record does not match the format
+ */
+export function parseRecord(source) {
+  let json = source;
+  if (typeof source === 'string') {
+    try {
+      json = JSON.parse(source);
+    } catch (e) {
+      invalid(`not valid JSON (${e.message})`);
+    }
+  }
+
+  if (!json || typeof json !== 'object') invalid('expected an object');
+  if (json.format !== RECORD_FORMAT) invalid(`"format" must be "${RECORD_FORMAT}"`);
+  if (json.version !== RECORD_VERSION) invalid(`unsupported version ${json.version}, expected ${RECORD_VERSION}`);
+
+  let ruleset;
+  try {
+    ruleset = parseRuleset(json.ruleset);
+  } catch (e) {
+    invalid(`ruleset: ${e.message}`);
+  }
+
+  if (typeof json.seed !== 'string' && typeof json.seed !== 'number') invalid('"seed" must be a string or number');
+
+  if (!Array.isArray(json.players) || json.players.length === 0) invalid('"players" must be a non-empty array');
+  const players = json.players.map((p, i) => {
+    if (typeof p?.name !== 'string' || !p.name) invalid(`player ${i + 1} needs a "name"`);
+    return { name: p.name, difficulty: p.difficulty ?? null };
+  });
+
+  if (!Array.isArray(json.moves)) invalid('"moves" must be an array');
+  const { count, faces } = ruleset.dice;
+  const moves = json.moves.map((move, i) => {
+    const where = `move ${i + 1}`;
+    if (!MOVE_TYPES.includes(move?.type)) invalid(`${where} has unknown type "${move?.type}"`);
+    if (!Number.isInteger(move.player) || !players[move.player]) invalid(`${where} refers to an unknown player`);
+
+    switch (move.type) {
+      case 'roll':
+        if (!Array.isArray(move.values) || move.values.length !== count ||
+            !move.values.every(v => Number.isInteger(v) && v >= 1 && v <= faces)) {
+          invalid(`${where} needs ${count} "values" between 1 and ${faces}`);
+        }
+        if (!Array.isArray(move.held) || move.held.length !== count) invalid(`${where} needs ${count} "held" flags`);
+        return { type: 'roll', player: move.player, held: move.held.map(Boolean), values: [...move.values] };
+
+      case 'setRoll':
+        if (!json.practice) invalid(`${where} sets the dice outside a practice game`);
+        if (!Array.isArray(move.values) || move.values.length !== count ||
+            !move.values.every(v => Number.isInteger(v) && v >= 1 && v <= faces)) {
+          invalid(`${where} needs ${count} "values" between 1 and ${faces}`);
+        }
+        return { type: 'setRoll', player: move.player, values: [...move.values] };
+
+      case 'place':
+        if (!ruleset.columns.some(c => c.id === move.column)) invalid(`${where} has unknown column "${move.column}"`);
+        if (!ruleset.rows.some(r => r.id === move.row)) invalid(`${where} has unknown row "${move.row}"`);
+        if (!Number.isInteger(move.score) || move.score < 0) invalid(`${where} needs a "score"`);
+        return { type: 'place', player: move.player, column: move.column, row: move.row, score: move.score };
+
+      case 'announce':
+        if (!ruleset.columns.some(c => c.id === move.column)) invalid(`${where} has unknown column "${move.column}"`);
+        if (!ruleset.rows.some(r => r.id === move.row)) invalid(`${where} has unknown row "${move.row}"`);
+        return { type: 'announce', player: move.player, column: move.column, row: move.row };
+
+      default:
+        if (!ruleset.columns.some(c => c.id === move.column)) invalid(`${where} has unknown column "${move.column}"`);
+        return { type: 'scratchColumn', player: move.player, column: move.column };
+    }
+  });
+
+  return { ruleset, seed: json.seed, practice: json.practice === true, players, moves };
+}
+
+/**
+ * Count the dice a record rolled, to continue its seeded dice afterwards
+ * @param {Object} record - Parsed record
+ * @returns {number}
+ */
+export function countDraws(record) {
+  return record.moves
+    .filter(move => move.type === 'roll')
+    .reduce((acc, move) => acc + move.held.filter(held => !held).length, 0);
+}
@@ -0,0 +1,368 @@
+/**
+ * Game Reducer
+ * Every change to a game is a plain, serializable action; reduce() turns a
+ * state and an action into the next state without touching the previous one,
+ * so a game is whatever its list of actions folds into
+ * See README "Actions" for the action types
+ * No DOM dependencies - sheets are RulesEngine instances, copied on write
+ */
+
+import { RulesEngine } from './rules-engine.js';
+import { parseRuleset } from './ruleset.js';
+import { AiPlayer } from './ai-player.js';
+
+export const MAX_PLAYERS = 6;
+
+// ============================================================================
+// State
+// ============================================================================
+
+/**
+ * Highest number of rolls any column of a ruleset allows
+ * @param {Object} ruleset
+ * @returns {number}
+ */
+export function getMaxTries(ruleset) {
+  return Math.max(...ruleset.columns.map(col => col.maxTries));
+}
+
+/**
+ * Create a player
+ * @param {Object} ruleset
+ * @param {{name?: string, difficulty?: string|null, sheet?: Object}} options - sheet as produced by RulesEngine.toJSON()
+ * @param {number} index - Seat in the turn order, for the default name
+ * @returns {{name: string, ai: AiPlayer|null, sheet: RulesEngine}}
+ */
+function createPlayer(ruleset, { name, difficulty, sheet }, index) {
+  const ai = difficulty ? new AiPlayer({ difficulty, name }) : null;
+  return {
+    name: ai?.name ?? (name || `Player ${index + 1}`),
+    ai,
+    sheet: new RulesEngine(ruleset, sheet)
+  };
+}
+
+/**
+ * Start a new game
+ * @param {{seed: number|string, ruleset: Object, players: Array<{name?: string, difficulty?: string|null}>, practice?: boolean}} options
+ *   practice: the dice may be set by hand (see the setRoll action)
+ * @returns {Object} Game state
+ */
+function createGame({ seed, ruleset, players, practice = false }) {
+  const { count, faces } = ruleset.dice;
+  const diceValues = Array.from({ length: count }, (_, i) => (i % faces) + 1);
+
+  return {
+    ruleset,
+    seed,
+    practice: !!practice,
+    turn: 0,
+    rollCount: 0,
+    placed: false,
+    maxRollsForTurn: getMaxTries(ruleset),
+    diceValues,
+    diceHeld: diceValues.map(() => false),
+    players: players.map((p, i) => createPlayer(ruleset, p, i)),
+    activePlayer: 0,
+    gameOver: false,
+    moves: []
+  };
+}
+
+/**
+ * Build the state of a saved game (see GameState.toJSON())
+ * @param {Object} data
+ * @returns {Object} Game state
+ * @throws {Error} When the data does not describe a valid game
+ */
+function loadGame(data) {
+  const invalid = (message) => { throw new Error(`Invalid saved game: ${message}`); };
+
+  if (!data || typeof data !== 'object') invalid('expected an object');
+  const ruleset = parseRuleset(data.ruleset);
+  const { count } = ruleset.dice;
+
+  if (!Array.isArray(data.players) || data.players.length === 0) invalid('"players" must be a non-empty array');
+  if (!data.players.some(p => !p.difficulty)) invalid('needs at least one human player');
+  if (data.players.length > MAX_PLAYERS) invalid(`at most ${MAX_PLAYERS} players`);
+  if (!Array.isArray(data.diceValues) || data.diceValues.length !== count) invalid(`"diceValues" must hold ${count} dice`);
+  if (!Array.isArray(data.diceHeld) || data.diceHeld.length !== count) invalid(`"diceHeld" must hold ${count} dice`);
+  if (!Number.isInteger(data.activePlayer) || !data.players[data.activePlayer]) invalid('"activePlayer" is not a player');
+
+  return {
+    ruleset,
+    seed: data.seed,
+    practice: !!data.practice,
+    turn: data.turn || 0,
+    rollCount: data.rollCount || 0,
+    placed: !!data.placed,
+    maxRollsForTurn: data.maxRollsForTurn ?? getMaxTries(ruleset),
+    diceValues: [...data.diceValues],
+    diceHeld: data.diceHeld.map(Boolean),
+    players: data.players.map((p, i) => createPlayer(ruleset, { ...p, sheet: p.sheet || {} }, i)),
+    activePlayer: data.activePlayer,
+    gameOver: !!data.gameOver,
+    moves: Array.isArray(data.moves) ? [...data.moves] : []
+  };
+}
+
+/**
+ * Export a game state as plain data
+ * @param {Object} state
+ * @returns {Object}
+ */
+export function serializeState(state) {
+  return {
+    ruleset: state.ruleset,
+    seed: state.seed,
+    practice: state.practice,
+    turn: state.turn,
+    rollCount: state.rollCount,
+    placed: state.placed,
+    maxRollsForTurn: state.maxRollsForTurn,
+    diceValues: [...state.diceValues],
+    diceHeld: [...state.diceHeld],
+    activePlayer: state.activePlayer,
+    gameOver: state.gameOver,
+    players: state.players.map(player => ({
+      name: player.name,
+      difficulty: player.ai?.difficulty ?? null,
+      sheet: player.sheet.toJSON()
+    })),
+    moves: [...state.moves]
+  };
+}
+
+// ============================================================================
+// Reducer
+// ============================================================================
+
+/**
+ * Apply an action to a game state
+ * @param {Object|null} state - Current state (null before the first newGame or load)
+ * @param {Object} action
+ * @returns {Object} Next state; the same state when the action changes nothing
+ * @throws {Error} When the action is not allowed, the state is left as it was
+ */
+export function reduce(state, action) {
+  if (!state && action.type !== 'newGame' && action.type !== 'load') {
+    throw new Error(`A game starts with "newGame" or "load", not "${action.type}"`);
+  }
+
+  switch (action.type) {
+    case 'newGame': {
+      const { players } = action;
+      if (!players.some(p => !p.difficulty)) throw new Error('A game needs at least one human player');
+      if (players.length > MAX_PLAYERS) throw new Error(`A game has at most ${MAX_PLAYERS} players`);
+      return createGame({ ...action, ruleset: parseRuleset(action.ruleset) });
+    }
+
+    case 'load':
+      return loadGame(action.game);
+
+    case 'hold': {
+      const { index, held } = action;
+      if (!(index >= 0 && index < state.diceHeld.length) || state.diceHeld[index] === held) return state;
+      return { ...state, diceHeld: state.diceHeld.map((h, i) => i === index ? held : h) };
+    }
+
+    case 'setRoll': {
+      checkTurn(state, action);
+      if (!state.practice) throw new Error('Dice can only be set in practice games');
+      if (state.placed) throw new Error('The turn is over, a cell was saved');
+      checkDice(state, action.values);
+
+      // Set dice count as the first roll of a turn, so they can be saved; later rolls go on as usual
+      return {
+        ...state,
+        rollCount: Math.max(state.rollCount, 1),
+        diceValues: [...action.values],
+        moves: [...state.moves, action]
+      };
+    }
+
+    case 'roll': {
+      checkTurn(state, action);
+      if (state.placed) throw new Error('The turn is over, a cell was saved');
+      if (state.rollCount >= state.maxRollsForTurn) throw new Error('No rolls left this turn');
+      const sheet = state.players[state.activePlayer].sheet;
+      if (sheet.needsAnnouncement(state.rollCount)) throw new Error('Announce a row before rolling again');
+      checkDice(state, action.values);
+      if (!Array.isArray(action.held) || action.held.length !== action.values.length) {
+        throw new Error(`Roll needs ${action.values.length} held flags`);
+      }
+      if (action.held.some((held, i) => held && action.values[i] !== state.diceValues[i])) {
+        throw new Error('A held die changed its value');
+      }
+
+      // Rolling on without an announcement leaves the announce columns out of this turn
+      const maxRollsForTurn = state.rollCount === 1 && !sheet.announced
+        ? Math.min(state.maxRollsForTurn, sheet.getMaxRolls({ announce: false }))
+        : state.maxRollsForTurn;
+
+      return {
+        ...state,
+        rollCount: state.rollCount + 1,
+        maxRollsForTurn,
+        diceHeld: [...action.held],
+        diceValues: [...action.values],
+        moves: [...state.moves, action]
+      };
+    }
+
+    case 'place': {
+      checkTurn(state, action);
+      const { column, row, score } = action;
+      const sheet = state.players[state.activePlayer].sheet;
+
+      if (state.placed) throw new Error('A cell was already saved this turn');
+      if (!sheet.isOpen(column, row)) throw new Error(`${sheet.getRow(row)?.label ?? row} is already filled`);
+      const check = score === 0
+        ? sheet.checkScratch(column, row, state.rollCount)
+        : sheet.checkPlacement(column, row, state.diceValues, state.rollCount);
+      if (!check.legal) throw new Error(check.reason);
+      if (score !== 0 && score !== check.score) {
+        throw new Error(`Scored ${score} in ${sheet.getRow(row).label}, the dice give ${check.score}`);
+      }
+
+      return {
+        ...updateSheet(state, copy => copy.place(column, row, score)),
+        placed: true,
+        moves: [...state.moves, action]
+      };
+    }
+
+    case 'announce': {
+      checkTurn(state, action);
+      const { column, row } = action;
+      const sheet = state.players[state.activePlayer].sheet;
+
+      const reason = sheet.getAnnounceBlockReason(column, row, state.rollCount);
+      if (reason) throw new Error(reason);
+
+      // The turn only has the rolls the announced column allows
+      return {
+        ...updateSheet(state, copy => copy.announce(column, row)),
+        maxRollsForTurn: Math.min(state.maxRollsForTurn, sheet.getColumn(column).maxTries),
+        moves: [...state.moves, action]
+      };
+    }
+
+    case 'scratchColumn': {
+      checkTurn(state, action);
+      const { column } = action;
+      const reason = state.players[state.activePlayer].sheet.getColumnScratchBlockReason(column, state.rollCount);
+      if (reason) throw new Error(reason);
+
+      // The crossed out cells leave the turn, and so may the rolls only they allowed
+      const next = updateSheet(state, copy => copy.scratchColumn(column));
+      return {
+        ...next,
+        maxRollsForTurn: next.players[next.activePlayer].sheet.getMaxRolls(),
+        moves: [...state.moves, action]
+      };
+    }
+
+    case 'endTurn': {
+      // The turn counter goes up once every player has played
+      // Players whose sheet is full (a scratched column fills it early) sit out
+      if (!state.placed) throw new Error('Save or scratch a cell before ending the turn');
+      const { players } = state;
+      let { activePlayer, turn } = state;
+      for (let i = 0; i < players.length; i++) {
+        activePlayer = (activePlayer + 1) % players.length;
+        if (activePlayer === 0) turn++;
+        if (!players[activePlayer].sheet.isComplete()) break;
+      }
+      const maxTurns = state.ruleset.columns.length * state.ruleset.rows.length;
+
+      return {
+        ...state,
+        turn,
+        rollCount: 0,
+        placed: false,
+        diceHeld: state.diceHeld.map(() => false),
+        activePlayer,
+        gameOver: state.gameOver || turn >= maxTurns || players.every(player => player.sheet.isComplete()),
+        maxRollsForTurn: players[activePlayer].sheet.getMaxRolls()
+      };
+    }
+
+    case 'setMaxRolls':
+      return { ...state, maxRollsForTurn: Math.max(0, Math.min(getMaxTries(state.ruleset), action.maxRolls)) };
+
+    case 'renamePlayer': {
+      const { index, name } = action;
+      const player = state.players[index];
+      if (!player) throw new Error(`There is no player ${index + 1}`);
+
+      const players = [...state.players];
+      players[index] = { ...player, name: name || player.ai?.name || `Player ${index + 1}` };
+      return { ...state, players };
+    }
+
+    default:
+      throw new Error(`Unknown action "${action.type}"`);
+  }
+}
+
+/**
+ * Fold a list of actions into the game they describe
+ * @param {Object[]} actions - Starting with a newGame or load action
+ * @param {Object|null} [state=null] - State to start from
+ * @returns {Object} Game state
+ * @throws {Error} When an action is not allowed, naming the action
+ */
+export function replayActions(actions, state = null) {
+  return actions.reduce((acc, action, i) => {
+    try {
+      return reduce(acc, action);
+    } catch (e) {
+      throw new Error(`Action ${i + 1} (${action.type}): ${e.message}`);
+    }
+  }, state);
+}
+
+/**
+ * Check that a move is made by the player whose turn it is
+ * @param {Object} state
+ * @param {{player: number}} action
+ * @throws {Error}
+ */
+function checkTurn(state, action) {
+  if (state.gameOver) throw new Error('The game is over');
+  if (action.player !== state.activePlayer) {
+    const name = state.players[action.player]?.name ?? `player ${action.player + 1}`;
+    throw new Error(`It is ${state.players[state.activePlayer].name}'s turn, not ${name}'s`);
+  }
+}
+
+/**
+ * Check that values are a full set of dice of the ruleset
+ * @param {Object} state
+ * @param {number[]} values
+ * @throws {Error}
+ */
+function checkDice(state, values) {
+  const { count, faces } = state.ruleset.dice;
+  if (!Array.isArray(values) || values.length !== count ||
+      !values.every(v => Number.isInteger(v) && v >= 1 && v <= faces)) {
+    throw new Error(`Dice must be ${count} values between 1 and ${faces}`);
+  }
+}
+
+/**
+ * Change the sheet of the active player on a copy, leaving the state's sheet alone
+ * @param {Object} state
+ * @param {Function} change - Called with the copied sheet
+ * @returns {Object} State with the changed sheet
+ */
+function updateSheet(state, change) {
+  const player = state.players[state.activePlayer];
+  const sheet = new RulesEngine(state.ruleset, player.sheet.toJSON());
+  change(sheet);
+
+  const players = [...state.players];
+  players[state.activePlayer] = { ...player, sheet };
+  return { ...state, players };
+}
@@ -2,47 +2,210 @@
  * Game State Service
  * Centralized state management using EventTarget for decoupled updates
  * Replaces the circular ns.instance.* pattern from legacy code
+ *
+ * Every change is an action (see services/game-reducer.js) appended to the
+ * game's log; the state is what the log folds into, and events announce
+ * each action after the reducer has applied it
  */
 
+import { generateSeed } from './random.js';
+import { RulesEngine } from './rules-engine.js';
+import { DEFAULT_RULESET, isSameRuleset } from './ruleset.js';
+import { MAX_PLAYERS, reduce, replayActions, serializeState } from './game-reducer.js';
+
+// Undo steps kept per game
+const MAX_HISTORY = 100;
+
 export class GameState extends EventTarget {
-  // Game constants
-  static MAX_TURNS = 75; // 15 rows × 5 columns
-  static DEFAULT_MAX_ROLLS = 3;
-  static UPPER_BONUS_THRESHOLD = 63;
-  static UPPER_BONUS_VALUE = 30;
-
-  // Column max tries configuration
-  static COLUMN_MAX_TRIES = {
-    dn: 3,
-    w: 3,
-    up: 3,
-    one: 1,
-    two: 2
-  };
-
-  #turn = 0;
-  #rollCount = 0;
-  #maxRollsForTurn = 3;
-  #diceValues = [1, 2, 3, 4, 5];
-  #diceHeld = [false, false, false, false, false];
-  #playerName = 'Player 1';
-  #scores = {};
-  #gameOver = false;
-
-  constructor() {
-    super();
-    this.#initScores();
-  }
-
-  /**
-   * Initialize empty score grid
-   * 5 columns × 15 rows (ones through sixes, plus lower section)
-   */
-  #initScores() {
-    this.#scores = {};
-    for (let col = 1; col <= 5; col++) {
-      this.#scores[col] = {};
+  static MAX_PLAYERS = MAX_PLAYERS;
+
+  // When a multiplayer game stops accepting undo:
+  // 'roll' - until the next roll, 'turn' - the same, but only for the last player's own moves, 'off' - never
+  // Either way a save, which passes the dice on, can be taken back until the next player rolls
+  static UNDO_POLICIES = ['roll', 'turn', 'off'];
+
+  #log = [{ type: 'newGame', seed: generateSeed(), ruleset: DEFAULT_RULESET, players: [{ name: 'Player 1' }] }];
+  #state = replayActions(this.#log);
+  #history = [];
+  #future = [];
+  #undoPolicy = 'roll';
+  #readOnly = false;
+
+  // ==========================================================================
+  // Actions
+  // ==========================================================================
+
+  /**
+   * Apply an action and append it to the log
+   * newGame and load start a new log
+   * @param {Object} action - Serializable action (see README "Actions")
+   * @returns {boolean} False if the game is read-only or nothing changed
+   * @throws {Error} When the action is not allowed, the game is left as it was
+   */
+  dispatch(action) {
+    // Replays may still show any game
+    if (this.#readOnly && action.type !== 'load') return false;
+
+    const previous = this.#state;
+    const state = reduce(previous, action);
+    if (state === previous) return false;
+
+    this.#state = state;
+    if (action.type === 'newGame' || action.type === 'load') {
+      this.#log = [action];
+      this.#clearHistory();
+    } else {
+      this.#log.push(action);
     }
+
+    this.#announce(action, previous);
+    return true;
+  }
+
+  /**
+   * Get the actions of the current game, in order
+   * Folding them with replayActions() gives the current state
+   * @returns {Object[]}
+   */
+  get actions() {
+    return [...this.#log];
+  }
+
+  /**
+   * Build a game from its actions
+   * @param {Object[]} actions - Starting with a newGame or load action
+   * @returns {GameState}
+   * @throws {Error} When an action is not allowed, naming the action
+   */
+  static fromActions(actions) {
+    const game = new GameState();
+    game.#state = replayActions(actions);
+    game.#log = [...actions];
+    return game;
+  }
+
+  /**
+   * Emit the events of an action the reducer has applied
+   * @param {Object} action
+   * @param {Object} previous - State before the action
+   */
+  #announce(action, previous) {
+    const state = this.#state;
+
+    switch (action.type) {
+      case 'newGame':
+      case 'load': {
+        const describe = (s) => JSON.stringify(s.players.map(p => [p.name, p.ai?.difficulty ?? null]));
+        if (!isSameRuleset(state.ruleset, previous.ruleset)) {
+          this.#emit('rulesetChange', { ruleset: state.ruleset });
+        }
+        if (state.practice !== previous.practice) {
+          this.#emit('practiceChange', { practice: state.practice });
+        }
+        this.#emit('reset', { seed: state.seed });
+        if (action.type === 'load' || describe(state) !== describe(previous)) {
+          this.#emit('playersChange', { players: this.players });
+        }
+        if (action.type === 'load') {
+          this.#emit('restore', { turn: state.turn, rollCount: state.rollCount, player: state.activePlayer });
+          this.#emit('load', { seed: state.seed });
+        }
+        break;
+      }
+
+      case 'hold':
+        this.#emit('diceHoldChange', { index: action.index, held: action.held });
+        break;
+
+      case 'setRoll':
+        this.#emit('diceChange', { values: this.diceValues });
+        this.#emit('diceSet', { player: action.player, values: this.diceValues });
+        if (state.rollCount !== previous.rollCount) {
+          this.#emit('rollChange', { rollCount: state.rollCount });
+        }
+        break;
+
+      case 'roll':
+        this.#emit('diceChange', { values: this.diceValues });
+        this.#emit('rollChange', { rollCount: state.rollCount });
+        if (state.maxRollsForTurn !== previous.maxRollsForTurn) {
+          this.#emit('maxRollsChange', { maxRolls: state.maxRollsForTurn });
+        }
+        break;
+
+      case 'announce':
+        this.#emit('announce', { player: action.player, column: action.column, row: action.row });
+        this.#emit('maxRollsChange', { maxRolls: state.maxRollsForTurn });
+        break;
+
+      case 'place':
+        this.#emit('scoreChange', { column: action.column, row: action.row, value: action.score });
+        break;
+
+      case 'scratchColumn': {
+        // The rows the column still had open are the ones crossed out
+        const sheet = previous.players[action.player].sheet;
+        const rows = sheet.rows.filter(row => sheet.isOpen(action.column, row.id)).map(row => row.id);
+        this.#emit('columnScratch', { player: action.player, column: action.column, rows });
+        if (state.maxRollsForTurn !== previous.maxRollsForTurn) {
+          this.#emit('maxRollsChange', { maxRolls: state.maxRollsForTurn });
+        }
+        break;
+      }
+
+      case 'endTurn':
+        if (state.gameOver && !previous.gameOver) {
+          this.#emit('gameOver', { turn: state.turn });
+        }
+        this.#emit('maxRollsChange', { maxRolls: state.maxRollsForTurn });
+        if (state.players.length > 1) {
+          this.#emit('playerChange', { index: state.activePlayer, player: this.activePlayer });
+        }
+        this.#emit('turnChange', { turn: state.turn, rollCount: state.rollCount, player: state.activePlayer });
+        break;
+
+      case 'setMaxRolls':
+        this.#emit('maxRollsChange', { maxRolls: state.maxRollsForTurn });
+        break;
+
+      case 'renamePlayer':
+        this.#emit('playerNameChange', { index: action.index, name: state.players[action.index].name });
+        break;
+    }
+  }
+
+  // ==========================================================================
+  // Ruleset
+  // ==========================================================================
+
+  /**
+   * Get the ruleset the game is played with
+   * @returns {Object}
+   */
+  get ruleset() {
+    return this.#state.ruleset;
+  }
+
+  /**
+   * Switch ruleset (starts a new game)
+   * @param {Object} ruleset - Parsed ruleset (see services/ruleset.js)
+   */
+  set ruleset(ruleset) {
+    this.dispatch({
+      type: 'newGame',
+      seed: generateSeed(),
+      ruleset,
+      players: this.#describePlayers(),
+      practice: this.isPractice
+    });
+  }
+
+  /**
+   * Number of turns in a game (one per cell of the sheet)
+   * @returns {number}
+   */
+  get maxTurns() {
+    return this.ruleset.columns.length * this.ruleset.rows.length;
   }
 
   // ==========================================================================
@@ -50,80 +213,95 @@ export class GameState extends EventTarget {
   // ==========================================================================
 
   get turn() {
-    return this.#turn;
+    return this.#state.turn;
   }
 
   get rollCount() {
-    return this.#rollCount;
+    return this.#state.rollCount;
   }
 
   get canRoll() {
-    return !this.#gameOver && this.#rollCount < this.#maxRollsForTurn;
+    const { gameOver, placed, rollCount, maxRollsForTurn } = this.#state;
+    return !gameOver && !placed && rollCount < maxRollsForTurn && !this.sheet.needsAnnouncement(rollCount);
   }
 
   get maxRollsForTurn() {
-    return this.#maxRollsForTurn;
+    return this.#state.maxRollsForTurn;
   }
 
   set maxRollsForTurn(value) {
-    this.#maxRollsForTurn = Math.max(1, Math.min(3, value));
-    this.#emit('maxRollsChange', { maxRolls: this.#maxRollsForTurn });
+    this.dispatch({ type: 'setMaxRolls', maxRolls: Math.max(1, value) });
   }
 
   /**
    * Calculate max rolls based on available columns
+   * Ending a turn already does this for the next player's sheet
    * @param {string[]} availableColumns - Array of column IDs with empty cells
    */
   updateMaxRollsFromColumns(availableColumns) {
-    if (!availableColumns || availableColumns.length === 0) {
-      this.#maxRollsForTurn = 0;
-      return;
-    }
-
-    // Find the highest max tries among available columns
-    let maxTries = 0;
-    for (const colId of availableColumns) {
-      const tries = GameState.COLUMN_MAX_TRIES[colId] || 0;
-      if (tries > maxTries) {
-        maxTries = tries;
-      }
-    }
-    this.#maxRollsForTurn = maxTries;
-    this.#emit('maxRollsChange', { maxRolls: this.#maxRollsForTurn });
+    const tries = (availableColumns || []).map(colId => this.sheet.getColumn(colId)?.maxTries || 0);
+    this.dispatch({ type: 'setMaxRolls', maxRolls: tries.length ? Math.max(...tries) : 0 });
   }
 
   get isGameOver() {
-    return this.#gameOver;
+    return this.#state.gameOver;
   }
 
   /**
-   * Increment turn counter
+   * Pass the dice to the next player
+   * The turn counter goes up once every player has played
    * @returns {number} New turn count
    */
   nextTurn() {
-    this.#turn++;
-    this.#rollCount = 0;
-    this.#diceHeld = [false, false, false, false, false];
+    this.dispatch({ type: 'endTurn' });
+    return this.turn;
+  }
 
-    if (this.#turn >= GameState.MAX_TURNS) {
-      this.#gameOver = true;
-      this.#emit('gameOver', { turn: this.#turn });
+  /**
+   * Roll the dice: the unheld dice take their new values
+   * @param {number[]} values - Every die after the roll, held dice unchanged
+   * @returns {boolean} False if no roll is left this turn
+   * @throws {Error} When the values are not valid dice or a held die changed
+   */
+  roll(values) {
+    if (!this.canRoll) return false;
+
+    const rolled = this.dispatch({
+      type: 'roll',
+      player: this.activePlayerIndex,
+      held: this.diceHeld,
+      values: [...values]
+    });
+
+    // A roll can't be taken back, so neither can anything before it
+    if (rolled) {
+      this.#clearHistory();
     }
-
-    this.#emit('turnChange', { turn: this.#turn, rollCount: this.#rollCount });
-    return this.#turn;
+    return rolled;
   }
 
   /**
-   * Increment roll counter within current turn
-   * @returns {number} New roll count
+   * Announce the cell of an announce column to play this turn
+   * Like a roll, an announcement can't be taken back
+   * @param {string} column - Column ID
+   * @param {string} row - Row ID
+   * @returns {boolean} False if nothing changed
+   * @throws {Error} When the cell can't be announced (see RulesEngine.getAnnounceBlockReason())
    */
-  incrementRoll() {
-    if (this.canRoll) {
-      this.#rollCount++;
-      this.#emit('rollChange', { rollCount: this.#rollCount });
+  announce(column, row) {
+    const announced = this.dispatch({ type: 'announce', player: this.activePlayerIndex, column, row });
+    if (announced) {
+      this.#clearHistory();
     }
-    return this.#rollCount;
+    return announced;
+  }
+
+  /**
+   * Get the cell the active player announced this turn
+   * @returns {{column: string, row: string}|null}
+   */
+  get announced() {
+    return this.sheet.announced;
   }
 
   /**
@@ -131,7 +309,7 @@ export class GameState extends EventTarget {
    * @returns {boolean}
    */
   isValidTurn() {
-    return !this.#gameOver && this.#turn < GameState.MAX_TURNS;
+    return !this.#state.gameOver && this.#state.turn < this.maxTurns;
   }
 
   // ==========================================================================
@@ -139,18 +317,20 @@ export class GameState extends EventTarget {
   // ==========================================================================
 
   get diceValues() {
-    return [...this.#diceValues];
+    return [...this.#state.diceValues];
   }
 
+  /**
+   * Set the dice by hand, recorded like any move (practice games only, see setRoll())
+   * @param {number[]} values
+   * @throws {Error} Outside practice games, or when the values are not valid dice
+   */
   set diceValues(values) {
-    if (Array.isArray(values) && values.length === 5) {
-      this.#diceValues = [...values];
-      this.#emit('diceChange', { values: this.diceValues });
-    }
+    this.setRoll(values);
   }
 
   get diceHeld() {
-    return [...this.#diceHeld];
+    return [...this.#state.diceHeld];
   }
 
   /**
@@ -159,11 +339,8 @@ export class GameState extends EventTarget {
    * @returns {boolean} New hold state
    */
   toggleHold(index) {
-    if (index >= 0 && index < 5) {
-      this.#diceHeld[index] = !this.#diceHeld[index];
-      this.#emit('diceHoldChange', { index, held: this.#diceHeld[index] });
-    }
-    return this.#diceHeld[index];
+    this.setHold(index, !this.isHeld(index));
+    return this.isHeld(index);
   }
 
   /**
@@ -172,10 +349,7 @@ export class GameState extends EventTarget {
    * @param {boolean} held - Hold state
    */
   setHold(index, held) {
-    if (index >= 0 && index < 5) {
-      this.#diceHeld[index] = held;
-      this.#emit('diceHoldChange', { index, held });
-    }
+    this.#dispatchUndoable({ type: 'hold', index, held });
   }
 
   /**
@@ -184,7 +358,7 @@ export class GameState extends EventTarget {
    * @returns {boolean}
    */
   isHeld(index) {
-    return this.#diceHeld[index] ?? false;
+    return this.#state.diceHeld[index] ?? false;
   }
 
   /**
@@ -192,113 +366,504 @@ export class GameState extends EventTarget {
    * @returns {number[]}
    */
   getUnheldIndices() {
-    return this.#diceHeld
+    return this.#state.diceHeld
       .map((held, i) => held ? -1 : i)
       .filter(i => i >= 0);
   }
 
+  // ==========================================================================
+  // Players
+  // ==========================================================================
+
   /**
-   * Update specific dice values (for rolling unheld dice)
-   * @param {Object} updates - Map of index -> new value
+   * Get the players in turn order
+   * Their sheets belong to the game state: read them, don't change them
+   * @returns {Array<{name: string, ai: AiPlayer|null, sheet: RulesEngine}>}
    */
-  updateDice(updates) {
-    for (const [index, value] of Object.entries(updates)) {
-      const i = parseInt(index);
-      if (i >= 0 && i < 5 && value >= 1 && value <= 6) {
-        this.#diceValues[i] = value;
-      }
-    }
-    this.#emit('diceChange', { values: this.diceValues });
+  get players() {
+    return [...this.#state.players];
   }
 
-  // ==========================================================================
-  // Player
-  // ==========================================================================
+  /**
+   * Get the player whose turn it is
+   * @returns {{name: string, ai: AiPlayer|null, sheet: RulesEngine}}
+   */
+  get activePlayer() {
+    return this.#state.players[this.#state.activePlayer];
+  }
 
+  get activePlayerIndex() {
+    return this.#state.activePlayer;
+  }
+
+  /**
+   * Get the name of the active player
+   * @returns {string}
+   */
   get playerName() {
-    return this.#playerName;
+    return this.activePlayer.name;
   }
 
+  /**
+   * Rename the active player
+   * @param {string} name
+   */
   set playerName(name) {
-    this.#playerName = name || 'Player 1';
-    this.#emit('playerNameChange', { name: this.#playerName });
+    this.renamePlayer(this.activePlayerIndex, name);
+  }
+
+  /**
+   * Seat the players of a new game (starts a new game)
+   * @param {Array<{name?: string, difficulty?: string|null}>} players - In turn order,
+   *   a difficulty (see AiPlayer.DIFFICULTIES) makes a computer player
+   * @throws {Error} Without a human player or with more than MAX_PLAYERS players
+   */
+  setPlayers(players) {
+    this.dispatch({
+      type: 'newGame',
+      seed: generateSeed(),
+      ruleset: this.ruleset,
+      players: players.map(p => ({ name: p.name || null, difficulty: p.difficulty ?? null })),
+      practice: this.isPractice
+    });
+  }
+
+  /**
+   * Add a player at the end of the turn order (starts a new game)
+   * @param {{name?: string, difficulty?: string|null}} player
+   */
+  addPlayer(player) {
+    this.setPlayers([...this.#describePlayers(), player]);
+  }
+
+  /**
+   * Remove a player (starts a new game)
+   * @param {number} index
+   */
+  removePlayer(index) {
+    this.setPlayers(this.#describePlayers().filter((_, i) => i !== index));
+  }
+
+  /**
+   * Rename a player
+   * @param {number} index
+   * @param {string} name
+   */
+  renamePlayer(index, name) {
+    if (!this.#state.players[index]) return;
+
+    this.dispatch({ type: 'renamePlayer', index, name });
+  }
+
+  /**
+   * Let the active player play its turn, if it is a computer
+   * @param {DiceEngine} dice - Dice to roll with
+   * @returns {Object|null} Turn played (see AiPlayer.playTurn()), null for human players
+   */
+  playAiTurn(dice) {
+    const player = this.activePlayer;
+    if (this.#readOnly || !player.ai || this.#state.gameOver) return null;
+
+    // The computer plays on a copy; its rolls and move go through the reducer like anyone's
+    const turn = player.ai.playTurn(new RulesEngine(this.ruleset, player.sheet.toJSON()), dice);
+    if (turn) {
+      const index = this.activePlayerIndex;
+      const { column, row, score } = turn.move;
+
+      turn.rolls.forEach(({ held, values }, i) => {
+        this.dispatch({ type: 'roll', player: index, held: [...held], values: [...values] });
+        if (i === 0 && turn.announced) {
+          this.dispatch({ type: 'announce', player: index, ...turn.announced });
+        }
+      });
+      this.dispatch({ type: 'place', player: index, column, row, score });
+      this.#emit('aiTurn', { index, name: player.name, ...turn });
+    }
+    return turn;
+  }
+
+  /**
+   * Describe the current players the way setPlayers() takes them
+   * @returns {Array<{name: string, difficulty: string|null}>}
+   */
+  #describePlayers() {
+    return this.#state.players.map(p => ({ name: p.name, difficulty: p.ai?.difficulty ?? null }));
   }
 
   // ==========================================================================
   // Scores
   // ==========================================================================
 
+  /**
+   * Get the rules engine holding the score sheet of the active player
+   * @returns {RulesEngine}
+   */
+  get sheet() {
+    return this.activePlayer.sheet;
+  }
+
   /**
    * Get score for a specific cell
-   * @param {number} column - Column (1-5)
+   * @param {string} column - Column ID (e.g., 'dn', 'one')
    * @param {string} row - Row identifier (e.g., 'ones', 'fullHouse')
    * @returns {number|null} Score or null if not set
    */
   getScore(column, row) {
-    return this.#scores[column]?.[row] ?? null;
+    return this.sheet.getScore(column, row);
   }
 
   /**
    * Set score for a specific cell
-   * @param {number} column - Column (1-5)
+   * @param {string} column - Column ID
    * @param {string} row - Row identifier
-   * @param {number} value - Score value
+   * @param {number} value - Score value (0 scratches the cell)
+   * @returns {boolean} False if the cell was already filled
+   * @throws {Error} When the rules don't allow the score in the cell
    */
   setScore(column, row, value) {
-    if (!this.#scores[column]) {
-      this.#scores[column] = {};
+    if (!this.sheet.isOpen(column, row)) {
+      return false;
     }
-    this.#scores[column][row] = value;
-    this.#emit('scoreChange', { column, row, value });
+    return this.#dispatchUndoable({ type: 'place', player: this.activePlayerIndex, column, row, score: value });
   }
 
   /**
    * Check if a cell has a score
-   * @param {number} column - Column (1-5)
+   * @param {string} column - Column ID
    * @param {string} row - Row identifier
    * @returns {boolean}
    */
   hasScore(column, row) {
-    return this.#scores[column]?.[row] !== undefined;
+    return !this.sheet.isOpen(column, row);
   }
 
   /**
    * Get all scores for a column
-   * @param {number} column - Column (1-5)
+   * @param {string} column - Column ID
    * @returns {Object}
    */
   getColumnScores(column) {
-    return { ...this.#scores[column] };
+    return this.sheet.getColumnScores(column);
   }
 
   /**
    * Get all scores
-   * @returns {Object}
+   * @returns {Object} Map of column ID -> row scores
    */
   getAllScores() {
-    const result = {};
-    for (let col = 1; col <= 5; col++) {
-      result[col] = { ...this.#scores[col] };
+    return this.sheet.toJSON().scores;
+  }
+
+  /**
+   * Scratch a column of the active player: its open cells are crossed out
+   * Like a roll, a column scratch can't be taken back
+   * @param {string} column - Column ID
+   * @returns {boolean} False if nothing changed
+   * @throws {Error} When the column can't be scratched (see RulesEngine.getColumnScratchBlockReason())
+   */
+  scratchColumn(column) {
+    const scratched = this.dispatch({ type: 'scratchColumn', player: this.activePlayerIndex, column });
+    if (scratched) {
+      this.#clearHistory();
     }
-    return result;
+    return scratched;
+  }
+
+  // ==========================================================================
+  // Undo / Redo
+  // ==========================================================================
+
+  get canUndo() {
+    return this.#history.length > 0;
+  }
+
+  get canRedo() {
+    return this.#future.length > 0;
+  }
+
+  /**
+   * Get the multiplayer undo policy (see GameState.UNDO_POLICIES)
+   * @returns {string}
+   */
+  get undoPolicy() {
+    return this.#undoPolicy;
+  }
+
+  /**
+   * Set the multiplayer undo policy
+   * Single player games always allow undo until the next roll
+   * @param {string} policy - One of GameState.UNDO_POLICIES
+   */
+  set undoPolicy(policy) {
+    if (!GameState.UNDO_POLICIES.includes(policy)) return;
+
+    this.#undoPolicy = policy;
+    if (this.#state.players.length > 1 && policy === 'off') {
+      this.#clearHistory();
+    }
+  }
+
+  /**
+   * Take back the last save, scratch or hold
+   * The actions since then leave the log, and come back on redo
+   * @returns {boolean} False if there was nothing to undo
+   */
+  undo() {
+    if (this.#readOnly || !this.canUndo) return false;
+
+    const { state, length } = this.#history.pop();
+    this.#future.push({ state: this.#state, actions: this.#log.slice(length) });
+    this.#log.length = length;
+    this.#restore(state);
+    this.#emit('undo', {});
+    return true;
+  }
+
+  /**
+   * Play an undone change again
+   * @returns {boolean} False if there was nothing to redo
+   */
+  redo() {
+    if (this.#readOnly || !this.canRedo) return false;
+
+    const { state, actions } = this.#future.pop();
+    this.#history.push({ state: this.#state, length: this.#log.length });
+    this.#log.push(...actions);
+    this.#restore(state);
+    this.#emit('redo', {});
+    return true;
+  }
+
+  /**
+   * Dispatch an action that undo can take back
+   * @param {Object} action
+   * @returns {boolean} False if nothing changed
+   */
+  #dispatchUndoable(action) {
+    const step = { state: this.#state, length: this.#log.length };
+    const changed = this.dispatch(action);
+    if (changed) {
+      this.#record(step);
+    }
+    return changed;
+  }
+
+  /**
+   * Remember the state before an undoable change
+   * States are never changed in place, so keeping them is enough
+   * @param {{state: Object, length: number}} step - State and log length before the change
+   */
+  #record(step) {
+    const multiplayer = this.#state.players.length > 1;
+    if (multiplayer && this.#undoPolicy === 'off') return;
+
+    // Once the next player makes a move of their own, the last player's moves are out of reach
+    const last = this.#history.at(-1);
+    if (multiplayer && this.#undoPolicy === 'turn' && last && last.state.activePlayer !== step.state.activePlayer) {
+      this.#history = [];
+    }
+
+    this.#history = [...this.#history, step].slice(-MAX_HISTORY);
+    this.#future = [];
+    this.#emit('historyChange', { canUndo: true, canRedo: false });
+  }
+
+  /**
+   * Forget all undo and redo steps
+   */
+  #clearHistory() {
+    if (!this.canUndo && !this.canRedo) return;
+
+    this.#history = [];
+    this.#future = [];
+    this.#emit('historyChange', { canUndo: false, canRedo: false });
+  }
+
+  /**
+   * Go back (or forward) to a state of the history
+   * @param {Object} state
+   */
+  #restore(state) {
+    this.#state = state;
+    this.#emit('restore', { turn: state.turn, rollCount: state.rollCount, player: state.activePlayer });
+    this.#emit('historyChange', { canUndo: this.canUndo, canRedo: this.canRedo });
   }
 
   // ==========================================================================
   // Game Control
   // ==========================================================================
 
+  /**
+   * Get the dice seed of the current game
+   * Feeding it to the dice engine reproduces the game's rolls exactly
+   * @returns {number|string}
+   */
+  get seed() {
+    return this.#state.seed;
+  }
+
   /**
    * Reset game to initial state
+   * @param {number|string} [seed] - Dice seed for the new game (random if omitted)
+   */
+  reset(seed) {
+    this.dispatch({
+      type: 'newGame',
+      seed: seed ?? generateSeed(),
+      ruleset: this.ruleset,
+      players: this.#describePlayers(),
+      practice: this.isPractice
+    });
+  }
+
+  // ==========================================================================
+  // Practice Mode
+  // ==========================================================================
+
+  /**
+   * Check if the dice of the game may be set by hand
+   * @returns {boolean}
+   */
+  get isPractice() {
+    return this.#state.practice;
+  }
+
+  /**
+   * Switch practice mode (starts a new game)
+   * @param {boolean} practice
+   */
+  set practice(practice) {
+    this.dispatch({
+      type: 'newGame',
+      seed: generateSeed(),
+      ruleset: this.ruleset,
+      players: this.#describePlayers(),
+      practice: !!practice
+    });
+  }
+
+  /**
+   * Set the dice of the active player by hand, as if they had been rolled
+   * Counts as the first roll when nothing was rolled yet; undo takes it back
+   * @param {number[]} values - Every die
+   * @returns {boolean} False if nothing changed
+   * @throws {Error} Outside practice games, or when the values are not valid dice
+   */
+  setRoll(values) {
+    return this.#dispatchUndoable({ type: 'setRoll', player: this.activePlayerIndex, values: [...values] });
+  }
+
+  // ==========================================================================
+  // Serialization
+  // ==========================================================================
+
+  /**
+   * Export the whole game as plain data
+   * @returns {Object}
+   */
+  toJSON() {
+    return serializeState(this.#state);
+  }
+
+  /**
+   * Load a game exported by toJSON()
+   * @param {Object} data
+   * @throws {Error} When the data does not describe a valid game
+   */
+  load(data) {
+    const game = data && typeof data === 'object' ? { ...data, seed: data.seed ?? generateSeed() } : data;
+    this.dispatch({ type: 'load', game });
+  }
+
+  // ==========================================================================
+  // Moves
+  // ==========================================================================
+
+  /**
+   * Get every move of the game so far, in order
+   * @returns {Array<Object>} Roll, setRoll, announce, place and scratchColumn moves (see README "Game Records")
+   */
+  get moves() {
+    return [...this.#state.moves];
+  }
+
+  /**
+   * Play a recorded move, checking it against the rules
+   * A place move ends the turn, like saving a score does
+   * @param {Object} move - Move as recorded in moves
+   * @throws {Error} When the move is not allowed
+   */
+  applyMove(move) {
+    if (!['roll', 'setRoll', 'announce', 'place', 'scratchColumn'].includes(move.type)) {
+      throw new Error(`Unknown move "${move.type}"`);
+    }
+
+    this.dispatch(move);
+    if (move.type === 'place') {
+      this.dispatch({ type: 'endTurn' });
+    }
+  }
+
+  /**
+   * Load a game record by replaying its moves (starts a new game)
+   * The moves are replayed on a scratch game first, so a bad record
+   * leaves the current game untouched
+   * @param {Object} record - Parsed record (see services/game-record.js)
+   * @throws {Error} When a move is not allowed, naming the move
+   */
+  loadRecord(record) {
+    this.load(GameState.fromRecord(record).toJSON());
+  }
+
+  /**
+   * Replay a game record on a new game
+   * @param {Object} record - Parsed record (see services/game-record.js)
+   * @param {Function} [onMove] - Called as (game, move, index) after each move
+   * @returns {GameState} Game after the last move
+   * @throws {Error} When a move is not allowed, naming the move
+   */
+  static fromRecord(record, onMove) {
+    const game = new GameState();
+    game.dispatch({
+      type: 'newGame',
+      seed: record.seed,
+      ruleset: record.ruleset,
+      players: record.players,
+      practice: record.practice
+    });
+
+    record.moves.forEach((move, i) => {
+      try {
+        game.applyMove(move);
+      } catch (e) {
+        throw new Error(`Move ${i + 1} (${move.type}): ${e.message}`);
+      }
+      onMove?.(game, move, i);
+    });
+
+    return game;
+  }
+
+  // ==========================================================================
+  // Read-only Mode
+  // ==========================================================================
+
+  /**
+   * Check if the game only accepts load() (replays)
+   * @returns {boolean}
+   */
+  get isReadOnly() {
+    return this.#readOnly;
+  }
+
+  /**
+   * Lock the game against play: rolls, holds, saves, undo, new games
+   * load() still works, so a viewer can show any state
+   * @param {boolean} readOnly
    */
-  reset() {
-    this.#turn = 0;
-    this.#rollCount = 0;
-    this.#maxRollsForTurn = GameState.DEFAULT_MAX_ROLLS;
-    this.#diceValues = [1, 2, 3, 4, 5];
-    this.#diceHeld = [false, false, false, false, false];
-    this.#gameOver = false;
-    this.#initScores();
-    this.#emit('reset', {});
+  set readOnly(readOnly) {
+    this.#readOnly = !!readOnly;
+    this.#emit('readOnlyChange', { readOnly: this.#readOnly });
   }
 
   // ==========================================================================
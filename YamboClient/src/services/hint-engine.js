@@ -0,0 +1,289 @@
+/**
+ * Hint Engine Service
+ * Recommends which dice to hold, based on the expected value of the
+ * remaining rolls for the cells still open on a sheet
+ * No DOM dependencies - works on a RulesEngine and plain dice values
+ */
+
+import { DiceEngine } from './dice-engine.js';
+import { evaluateFormula } from './formula.js';
+
+// How likely a combination row is to be made when playing for it
+const COMBINATION_ODDS = {
+  threeOfAKind: 0.6,
+  fourOfAKind: 0.3,
+  fullHouse: 0.5,
+  straight: 0.4,
+  yambo: 0.15
+};
+
+// Dice showing the same face in a made combination, for scoring formulas
+const COMBINATION_COUNTS = {
+  threeOfAKind: 3,
+  fourOfAKind: 4,
+  fullHouse: 3,
+  straight: 1
+};
+
+// Weight of the points a constrained row leaves for its partner (Chance+/-)
+const CONSTRAINT_WEIGHT = 0.5;
+
+export class HintEngine {
+  /**
+   * Recommend which dice to hold for the next roll
+   * @param {RulesEngine} sheet - Sheet of the player to advise
+   * @param {number[]} values - Current dice values
+   * @param {number} rollCount - Rolls taken this turn (at least 1)
+   * @param {number} maxRolls - Rolls allowed this turn
+   * @param {Function} [evaluate] - Move valuation (sheet, move) => number, defaults to evaluateMove()
+   * @returns {{held: boolean[], expectedValue: number, placeNow: boolean, bestMove: Object|null}}
+   *   placeNow is true when saving the current dice beats any reroll
+   */
+  recommendHolds(sheet, values, rollCount, maxRolls, evaluate = (s, move) => this.evaluateMove(s, move)) {
+    const search = this.#createSearch(sheet, maxRolls, evaluate);
+    const counts = search.dice.getCounts(values);
+    const bestMove = search.bestMove(counts, rollCount);
+    const placeValue = bestMove ? bestMove.value : -Infinity;
+
+    let best = { keep: counts, value: placeValue };
+    if (rollCount < maxRolls) {
+      const reroll = search.bestKeep(counts, rollCount);
+      if (reroll.value > placeValue) {
+        best = reroll;
+      }
+    }
+
+    return {
+      held: this.#keepToHeld(values, best.keep),
+      expectedValue: best.value,
+      placeNow: best.keep === counts,
+      bestMove: bestMove?.move ?? null
+    };
+  }
+
+  /**
+   * Value a legal move for the sheet it is played on
+   * Positive values beat the usual score of the cell, negative values waste it
+   * @param {RulesEngine} sheet
+   * @param {Object} move - Move from RulesEngine.getLegalMoves()
+   * @returns {number}
+   */
+  evaluateMove(sheet, move) {
+    const row = sheet.getRow(move.row);
+    return move.score - this.#par(sheet, row) +
+      this.#bonusAdjustment(sheet, move, row) +
+      this.#constraintAdjustment(sheet, move) +
+      this.#differenceAdjustment(sheet, move);
+  }
+
+  /**
+   * Expected score of a row when playing for it
+   * @param {RulesEngine} sheet
+   * @param {Object} row - Row definition
+   * @returns {number}
+   */
+  #par(sheet, row) {
+    const { count, faces } = sheet.ruleset.dice;
+    const average = count * (faces + 1) / 2;
+
+    switch (row.scoring) {
+      case 'upper':
+        // Three of each face is what the upper bonus is built on
+        return 3 * row.face;
+      case 'sum':
+        return average;
+      default:
+        return this.#madeScore(sheet, row) * (COMBINATION_ODDS[row.scoring] ?? 0.5);
+    }
+  }
+
+  /**
+   * Typical score of a combination row when the dice make it
+   * Formulas are evaluated with middling dice: average sum and face, the
+   * dice the combination needs showing that face, and a large straight
+   * half of the time
+   * @param {RulesEngine} sheet
+   * @param {Object} row - Row definition
+   * @returns {number}
+   */
+  #madeScore(sheet, row) {
+    const { count, faces } = sheet.ruleset.dice;
+    const average = count * (faces + 1) / 2;
+    if (!row.formula) return row.fixedScore ?? average;
+
+    return evaluateFormula(row.formula, {
+      sum: average,
+      count: COMBINATION_COUNTS[row.scoring] ?? count,
+      face: (faces + 1) / 2,
+      large: 0.5
+    });
+  }
+
+  /**
+   * Reward upper section placements that keep the column bonus in reach
+   * @param {RulesEngine} sheet
+   * @param {Object} move
+   * @param {Object} row
+   * @returns {number}
+   */
+  #bonusAdjustment(sheet, move, row) {
+    if (row.section !== 'upper') return 0;
+
+    const { upper, bonus, next, maxUpper } = sheet.getBonusProgress(move.column);
+    if (!next) return 0;
+
+    const gained = sheet.getBonus(move.column, upper + move.score) - bonus;
+    if (gained > 0) return gained;
+
+    const maxRest = maxUpper - upper - sheet.ruleset.dice.count * row.face;
+    if (upper + move.score + maxRest < next.threshold) return 0;
+
+    // Distance to the next tier: every point above (or below) par counts for a share of it
+    return (move.score - 3 * row.face) * (next.value - bonus) / next.threshold;
+  }
+
+  /**
+   * Penalise placements that squeeze a constrained partner row (Chance- < Chance+)
+   * @param {RulesEngine} sheet
+   * @param {Object} move
+   * @returns {number}
+   */
+  #constraintAdjustment(sheet, move) {
+    if (move.scratch) return 0;
+
+    return sheet.ruleset.constraints.reduce((acc, c) => {
+      if (c.type !== 'lessThan') return acc;
+
+      const par = this.#par(sheet, sheet.getRow(move.row));
+      if (move.row === c.row && sheet.isOpen(move.column, c.than)) {
+        return acc - Math.max(0, move.score - par) * CONSTRAINT_WEIGHT;
+      }
+      if (move.row === c.than && sheet.isOpen(move.column, c.row)) {
+        return acc - Math.max(0, par - move.score) * CONSTRAINT_WEIGHT;
+      }
+      return acc;
+    }, 0);
+  }
+
+  /**
+   * Value max, min and times rows by what they do to (max - min) × times
+   * rather than their own score. Open rows of the difference count at par,
+   * the spread between max and min at half the faces over every die, and
+   * scratching max or min throws the whole difference away
+   * @param {RulesEngine} sheet
+   * @param {Object} move
+   * @returns {number}
+   */
+  #differenceAdjustment(sheet, move) {
+    const { difference } = sheet.ruleset;
+    if (!difference || ![difference.max, difference.min, difference.times].includes(move.row)) return 0;
+
+    const { count, faces } = sheet.ruleset.dice;
+    const expected = (rowId) => sheet.getScore(move.column, rowId) ?? this.#par(sheet, sheet.getRow(rowId));
+    const gain = move.score - this.#par(sheet, sheet.getRow(move.row));
+    const spread = sheet.isOpen(move.column, difference.max) || sheet.isOpen(move.column, difference.min)
+      ? count * (faces - 1) / 2
+      : Math.max(0, expected(difference.max) - expected(difference.min));
+
+    if (move.score === 0 && move.row !== difference.times) {
+      return -spread * expected(difference.times);
+    }
+
+    // The plain score is already counted, only the difference makes up for it
+    switch (move.row) {
+      case difference.max:
+        return gain * (expected(difference.times) - 1);
+      case difference.min:
+        return -gain * (expected(difference.times) + 1);
+      default:
+        return gain * spread;
+    }
+  }
+
+  /**
+   * Build a memoized expected value search over dice counts
+   * States are count vectors (how many dice show each face), so
+   * permutations of the same dice share one entry
+   * @param {RulesEngine} sheet
+   * @param {number} maxRolls
+   * @param {Function} evaluate - Move valuation
+   * @returns {Object}
+   */
+  #createSearch(sheet, maxRolls, evaluate) {
+    const dice = new DiceEngine({ dice: sheet.ruleset.dice });
+    const valueCache = new Map();
+    const moveCache = new Map();
+    const rollCache = new Map();
+
+    const bestMove = (counts, rollCount) => {
+      const key = `${counts.join(',')}:${rollCount}`;
+      if (!moveCache.has(key)) {
+        let best = null;
+        sheet.getLegalMoves(dice.countsToValues(counts), rollCount).forEach(move => {
+          const value = evaluate(sheet, move);
+          if (!best || value > best.value) {
+            best = { move, value };
+          }
+        });
+        moveCache.set(key, best);
+      }
+      return moveCache.get(key);
+    };
+
+    const expectRoll = (keep, rollCount) => {
+      const key = `${keep.join(',')}:${rollCount}`;
+      if (!rollCache.has(key)) {
+        const kept = keep.reduce((a, b) => a + b, 0);
+        rollCache.set(key, dice.getOutcomes(dice.count - kept).reduce((acc, outcome) => {
+          const counts = [...keep];
+          outcome.values.forEach(v => counts[v - 1]++);
+          return acc + outcome.probability * stateValue(counts, rollCount + 1);
+        }, 0));
+      }
+      return rollCache.get(key);
+    };
+
+    const bestKeep = (counts, rollCount) => {
+      let best = null;
+      dice.getKeeps(counts).forEach(keep => {
+        const value = expectRoll(keep, rollCount);
+        if (!best || value > best.value) {
+          best = { keep, value };
+        }
+      });
+      return best;
+    };
+
+    const stateValue = (counts, rollCount) => {
+      const key = `${counts.join(',')}:${rollCount}`;
+      if (!valueCache.has(key)) {
+        const placed = bestMove(counts, rollCount)?.value ?? -Infinity;
+        const rolled = rollCount < maxRolls ? bestKeep(counts, rollCount).value : -Infinity;
+        valueCache.set(key, Math.max(placed, rolled));
+      }
+      return valueCache.get(key);
+    };
+
+    return { dice, bestMove, bestKeep };
+  }
+
+  /**
+   * Map a kept count vector back onto the dice that should be held
+   * @param {number[]} values
+   * @param {number[]} keep - Dice to keep per face
+   * @returns {boolean[]}
+   */
+  #keepToHeld(values, keep) {
+    const remaining = [...keep];
+    return values.map(v => {
+      if (remaining[v - 1] > 0) {
+        remaining[v - 1]--;
+        return true;
+      }
+      return false;
+    });
+  }
+}
+
+// Singleton instance for convenience
+export const hintEngine = new HintEngine();
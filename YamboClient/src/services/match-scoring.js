@@ -0,0 +1,53 @@
+/**
+ * Match Scoring Service
+ * Column-win scoring between players: the highest Total in a column wins
+ * that column's points, and the most column points wins the game
+ * No DOM dependencies - works on the players' RulesEngine sheets
+ */
+
+/**
+ * Score a match between players
+ * - A scratched column can't be won by the player who scratched it
+ * - Players tied on the best Total of a column share its points
+ * - Players tied on match points are split by their grand total; if that
+ *   is level too, they all win
+ * @param {RulesEngine[]} sheets - One sheet per player, in turn order
+ * @returns {{
+ *   columns: Array<{column: string, label: string, points: number, totals: number[], winners: number[]}>,
+ *   points: number[],
+ *   totals: number[],
+ *   winners: number[]
+ * }} Per-column totals and winners (player indices), match points, grand totals and game winners
+ */
+export function scoreMatch(sheets) {
+  const players = sheets.map((_, i) => i);
+
+  const columns = sheets[0].columns.map(col => {
+    const totals = sheets.map(sheet => sheet.getColumnTotal(col.id));
+    const contenders = players.filter(i => !sheets[i].isColumnScratched(col.id));
+    const best = Math.max(...contenders.map(i => totals[i]));
+
+    return {
+      column: col.id,
+      label: col.label,
+      points: col.points,
+      totals,
+      winners: contenders.filter(i => totals[i] === best)
+    };
+  });
+
+  const points = players.map(i => columns.reduce((acc, col) =>
+    acc + (col.winners.includes(i) ? col.points / col.winners.length : 0), 0));
+  const totals = sheets.map(sheet => sheet.getGrandTotal());
+
+  const bestPoints = Math.max(...points);
+  const leaders = players.filter(i => points[i] === bestPoints);
+  const bestTotal = Math.max(...leaders.map(i => totals[i]));
+
+  return {
+    columns,
+    points,
+    totals,
+    winners: leaders.filter(i => totals[i] === bestTotal)
+  };
+}
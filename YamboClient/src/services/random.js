@@ -0,0 +1,63 @@
+/**
+ * Random Sources
+ * Pluggable random number generators for the dice engine
+ * Every source is a function returning a float in [0, 1), like Math.random
+ */
+
+/**
+ * Hash a seed (number or string) to an unsigned 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5; // FNV-1a offset basis
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded, deterministic random source (mulberry32)
+ * The same seed always produces the same sequence
+ * @param {number|string} seed
+ * @returns {Function} Random source
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random source backed by crypto.getRandomValues
+ * Falls back to Math.random where the Web Crypto API is unavailable
+ * @returns {number}
+ */
+export function cryptoRandom() {
+  if (typeof crypto === 'undefined' || !crypto.getRandomValues) {
+    return Math.random();
+  }
+
+  const buffer = new Uint32Array(1);
+  crypto.getRandomValues(buffer);
+  return buffer[0] / 4294967296;
+}
+
+/**
+ * Generate a fresh seed for a new game
+ * @returns {string} 8 character hex seed
+ */
+export function generateSeed() {
+  return Math.floor(cryptoRandom() * 4294967296).toString(16).padStart(8, '0');
+}
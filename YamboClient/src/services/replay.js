@@ -0,0 +1,232 @@
+/**
+ * Replay Service
+ * Steps through a game record move by move, with play/pause, speed and
+ * seeking. Every position is a saved game (GameState.toJSON()) ready for
+ * GameState.load()
+ * No DOM dependencies - works on a parsed game record
+ */
+
+import { GameState } from './game-state.js';
+
+// Time between moves at 1x speed
+const STEP_DELAY = 1000;
+
+export class Replay extends EventTarget {
+  static SPEEDS = [0.5, 1, 2, 4];
+
+  #record;
+  #states;
+  #position = 0;
+  #speed = 1;
+  #timer = null;
+
+  /**
+   * @param {Object} record - Parsed record (see services/game-record.js)
+   * @throws {Error} When a move is not allowed, naming the move
+   */
+  constructor(record) {
+    super();
+    this.#record = record;
+
+    // Position 0 is the empty sheet, position n the game after n moves
+    const start = GameState.fromRecord({ ...record, moves: [] }).toJSON();
+    this.#states = [start];
+    GameState.fromRecord(record, (game) => this.#states.push(game.toJSON()));
+  }
+
+  // ==========================================================================
+  // Position
+  // ==========================================================================
+
+  /**
+   * Get the record being replayed
+   * @returns {Object}
+   */
+  get record() {
+    return this.#record;
+  }
+
+  /**
+   * Get the number of moves
+   * @returns {number}
+   */
+  get length() {
+    return this.#record.moves.length;
+  }
+
+  /**
+   * Get the number of moves played so far
+   * @returns {number}
+   */
+  get position() {
+    return this.#position;
+  }
+
+  /**
+   * Get the last move played, null at the start
+   * @returns {Object|null}
+   */
+  get move() {
+    return this.#record.moves[this.#position - 1] ?? null;
+  }
+
+  /**
+   * Get the game after the moves played so far
+   * @returns {Object} Saved game for GameState.load()
+   */
+  get state() {
+    return this.#states[this.#position];
+  }
+
+  /**
+   * Check if the replay is at the last move
+   * @returns {boolean}
+   */
+  get isAtEnd() {
+    return this.#position === this.length;
+  }
+
+  /**
+   * Jump to a position
+   * @param {number} position - Moves played, clamped to 0..length
+   */
+  seek(position) {
+    const next = Math.max(0, Math.min(this.length, Math.round(position)));
+    if (next === this.#position) return;
+
+    const previous = this.#position;
+    this.#position = next;
+    this.#emit('step', {
+      position: next,
+      move: this.move,
+      state: this.state,
+      // A single step forward can be animated, anything else is a jump
+      stepped: next === previous + 1
+    });
+  }
+
+  /**
+   * Play the next move
+   */
+  next() {
+    this.seek(this.#position + 1);
+  }
+
+  /**
+   * Take back the last move
+   */
+  previous() {
+    this.seek(this.#position - 1);
+  }
+
+  // ==========================================================================
+  // Playback
+  // ==========================================================================
+
+  /**
+   * Check if the replay is playing
+   * @returns {boolean}
+   */
+  get isPlaying() {
+    return this.#timer !== null;
+  }
+
+  /**
+   * Get the playback speed
+   * @returns {number}
+   */
+  get speed() {
+    return this.#speed;
+  }
+
+  /**
+   * Set the playback speed
+   * @param {number} speed - One of Replay.SPEEDS
+   */
+  set speed(speed) {
+    if (!Replay.SPEEDS.includes(speed)) {
+      throw new Error(`Unknown replay speed ${speed}`);
+    }
+    this.#speed = speed;
+
+    // Pick up the new speed from the next move on
+    if (this.isPlaying) {
+      clearTimeout(this.#timer);
+      this.#schedule();
+    }
+  }
+
+  /**
+   * Play the moves one after another, from the start when at the end
+   */
+  play() {
+    if (this.isPlaying) return;
+
+    if (this.isAtEnd) {
+      this.seek(0);
+    }
+    this.#schedule();
+    this.#emit('playChange', { playing: true });
+  }
+
+  /**
+   * Stop playing, keeping the position
+   */
+  pause() {
+    if (!this.isPlaying) return;
+
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#emit('playChange', { playing: false });
+  }
+
+  /**
+   * Play or pause
+   */
+  toggle() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Wait for the next move at the current speed
+   */
+  #schedule() {
+    this.#timer = setTimeout(() => {
+      this.next();
+      if (this.isAtEnd) {
+        this.#timer = null;
+        this.#emit('playChange', { playing: false });
+      } else {
+        this.#schedule();
+      }
+    }, STEP_DELAY / this.#speed);
+  }
+
+  // ==========================================================================
+  // Event Helpers
+  // ==========================================================================
+
+  /**
+   * Emit a custom event
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Subscribe to replay events
+   * @param {string} type - Event type (step, playChange)
+   * @param {Function} callback - Event handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, callback) {
+    this.addEventListener(type, callback);
+    return () => this.removeEventListener(type, callback);
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Result Card Service
+ * Summary of a finished game to post in chat: per-column totals, bonuses,
+ * Yambos rolled and final scores, plus the seed (or daily date) to play
+ * the same dice. Comes as text with emoji or drawn on a canvas for a PNG
+ * No DOM dependencies - drawing works on any canvas passed in
+ */
+
+import { scoreMatch } from './match-scoring.js';
+import { DailyChallenge } from './daily-challenge.js';
+
+// Card image layout, in canvas pixels
+const CARD_WIDTH = 480;
+const PADDING = 24;
+const HEADER_HEIGHT = 56;
+const PLAYER_HEIGHT = 96;
+const COLORS = {
+  background: '#2f2727',
+  text: '#ffffff',
+  muted: '#b3b3b3',
+  brand: '#009933'
+};
+
+/**
+ * Count the rolls of a player that came up all the same face
+ * @param {Object[]} moves - Game moves (see services/game-record.js)
+ * @param {number} player - Player index
+ * @returns {number}
+ */
+function countYambos(moves, player) {
+  return moves.filter(move => move.type === 'roll' && move.player === player &&
+    move.values.every(value => value === move.values[0])).length;
+}
+
+/**
+ * Build the result card of a game
+ * @param {GameState} gameState
+ * @returns {{
+ *   ruleset: string,
+ *   seed: number|string,
+ *   date: string|null,
+ *   finished: boolean,
+ *   players: Array<{
+ *     name: string,
+ *     columns: Array<{label: string, total: number, bonus: number}>,
+ *     bonuses: number,
+ *     yambos: number,
+ *     total: number,
+ *     points?: number
+ *   }>,
+ *   winners: number[]
+ * }} date is the daily challenge date, null for other games
+ */
+export function createResultCard(gameState) {
+  const players = gameState.players;
+  const sheets = players.map(player => player.sheet);
+  const match = players.length > 1 ? scoreMatch(sheets) : null;
+
+  return {
+    ruleset: gameState.ruleset.name,
+    seed: gameState.seed,
+    date: DailyChallenge.getDateFromSeed(gameState.seed),
+    finished: gameState.isGameOver,
+    players: players.map((player, i) => {
+      const columns = player.sheet.columns.map(col => {
+        const { bonus, total } = player.sheet.getTotals(col.id);
+        return { label: col.label, total, bonus };
+      });
+
+      return {
+        name: player.name,
+        columns,
+        bonuses: columns.filter(col => col.bonus > 0).length,
+        yambos: countYambos(gameState.moves, i),
+        total: player.sheet.getGrandTotal(),
+        ...(match && { points: match.points[i] })
+      };
+    }),
+    winners: match ? match.winners : [0]
+  };
+}
+
+/**
+ * Describe where a card's dice came from
+ * @param {Object} card
+ * @returns {string}
+ */
+function describeGame(card) {
+  return card.date ? `Daily ${card.date}` : `${card.ruleset} · seed ${card.seed}`;
+}
+
+/**
+ * Format a result card as text for chat
+ * @param {Object} card - From createResultCard()
+ * @returns {string}
+ */
+export function formatResultCard(card) {
+  const lines = [`🎲 Yambo · ${describeGame(card)}`];
+
+  card.players.forEach((player, i) => {
+    const medal = card.players.length > 1 && card.winners.includes(i) ? '🏆 ' : '';
+    const points = player.points !== undefined ? ` (${player.points} pts)` : '';
+    const columns = player.columns
+      .map(col => `${col.label} ${col.total}${col.bonus ? ' ⭐' : ''}`)
+      .join(' · ');
+
+    lines.push('');
+    lines.push(`${medal}${player.name}: ${player.total}${points}`);
+    lines.push(columns);
+    lines.push(`⭐ ${player.bonuses} bonus${player.bonuses === 1 ? '' : 'es'} · 🎯 ${player.yambos} Yambo${player.yambos === 1 ? '' : 's'}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Draw a result card on a canvas, resizing it to fit
+ * @param {Object} card - From createResultCard()
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ */
+export function drawResultCard(card, canvas) {
+  canvas.width = CARD_WIDTH;
+  canvas.height = PADDING * 2 + HEADER_HEIGHT + card.players.length * PLAYER_HEIGHT;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = COLORS.brand;
+  ctx.fillRect(0, 0, canvas.width, 4);
+  ctx.textBaseline = 'top';
+
+  const text = (value, x, y, { color = COLORS.text, font = '14px sans-serif', align = 'left' } = {}) => {
+    ctx.fillStyle = color;
+    ctx.font = font;
+    ctx.textAlign = align;
+    ctx.fillText(value, x, y);
+  };
+  const right = CARD_WIDTH - PADDING;
+
+  text('Yambo!', PADDING, PADDING, { color: COLORS.brand, font: 'bold 20px sans-serif' });
+  text(describeGame(card), PADDING, PADDING + 28, { color: COLORS.muted });
+
+  card.players.forEach((player, i) => {
+    const top = PADDING + HEADER_HEIGHT + i * PLAYER_HEIGHT;
+    const winner = card.players.length > 1 && card.winners.includes(i);
+    const points = player.points !== undefined ? `${player.points} pts · ` : '';
+    text(player.name, PADDING, top, { font: 'bold 16px sans-serif', color: winner ? COLORS.brand : COLORS.text });
+    text(`${points}${player.total}`, right, top, { font: 'bold 16px sans-serif', align: 'right' });
+
+    // One cell per column: label over total, columns with a bonus in the brand color
+    const width = (right - PADDING) / player.columns.length;
+    player.columns.forEach((col, c) => {
+      const x = PADDING + width * (c + 0.5);
+      text(col.label, x, top + 26, { color: COLORS.muted, font: '12px sans-serif', align: 'center' });
+      text(String(col.total), x, top + 42, { color: col.bonus ? COLORS.brand : COLORS.text, align: 'center' });
+    });
+
+    text(`Bonuses: ${player.bonuses}   Yambos: ${player.yambos}`, PADDING, top + 66, {
+      color: COLORS.muted,
+      font: '12px sans-serif'
+    });
+  });
+}
@@ -0,0 +1,735 @@
+/**
+ * Rules Engine Service
+ * Headless Yambo rules: owns the score model of one sheet, its totals
+ * and the checks that decide whether a placement is legal
+ * No DOM dependencies - shared by the sheet, bots, tests, server or CLI
+ *
+ * Columns, rows, bonus and constraints come from a ruleset (services/ruleset.js)
+ */
+
+import { DiceEngine } from './dice-engine.js';
+import { DEFAULT_RULESET } from './ruleset.js';
+
+// How the ordered columns are filled, for block reasons
+const ORDER_DIRECTIONS = {
+  down: 'top to bottom',
+  up: 'bottom to top',
+  middle: 'from the middle out'
+};
+
+export class RulesEngine {
+  #ruleset;
+  #dice;
+
+  // colId -> rowId -> score (0 means the cell was scratched)
+  #scores = {};
+  #scratchedColumns = new Set();
+
+  // Cell announced this turn in an announce column, {column, row} or null
+  #announced = null;
+
+  /**
+   * @param {Object} [ruleset] - Parsed ruleset (defaults to the classic rules)
+   * @param {Object} [data] - Sheet data as produced by toJSON()
+   */
+  constructor(ruleset = DEFAULT_RULESET, data) {
+    this.#ruleset = ruleset;
+    this.#dice = new DiceEngine({ dice: ruleset.dice });
+    this.reset();
+    if (data) {
+      this.load(data);
+    }
+  }
+
+  /**
+   * Clear all scores and column states
+   */
+  reset() {
+    this.#scores = {};
+    this.columns.forEach(col => {
+      this.#scores[col.id] = {};
+    });
+    this.#scratchedColumns.clear();
+    this.#announced = null;
+  }
+
+  // ==========================================================================
+  // Definitions
+  // ==========================================================================
+
+  get ruleset() {
+    return this.#ruleset;
+  }
+
+  get columns() {
+    return this.#ruleset.columns;
+  }
+
+  get rows() {
+    return this.#ruleset.rows;
+  }
+
+  get upperRows() {
+    return this.rows.filter(row => row.section === 'upper');
+  }
+
+  get lowerRows() {
+    return this.rows.filter(row => row.section === 'lower');
+  }
+
+  /**
+   * Get a column definition
+   * @param {string} colId - Column ID
+   * @returns {Object|undefined}
+   */
+  getColumn(colId) {
+    return this.columns.find(c => c.id === colId);
+  }
+
+  /**
+   * Get a row definition
+   * @param {string} rowId - Row ID
+   * @returns {Object|undefined}
+   */
+  getRow(rowId) {
+    return this.rows.find(r => r.id === rowId);
+  }
+
+  // ==========================================================================
+  // Score Model
+  // ==========================================================================
+
+  /**
+   * Get the score written in a cell
+   * @param {string} colId - Column ID
+   * @param {string} rowId - Row ID
+   * @returns {number|null} Score (0 = scratched) or null if empty
+   */
+  getScore(colId, rowId) {
+    return this.#scores[colId]?.[rowId] ?? null;
+  }
+
+  /**
+   * Check if a cell is still empty
+   * @param {string} colId
+   * @param {string} rowId
+   * @returns {boolean}
+   */
+  isOpen(colId, rowId) {
+    return this.getScore(colId, rowId) === null;
+  }
+
+  /**
+   * Check if a cell was scratched (saved with 0 points)
+   * @param {string} colId
+   * @param {string} rowId
+   * @returns {boolean}
+   */
+  isScratched(colId, rowId) {
+    return this.getScore(colId, rowId) === 0;
+  }
+
+  /**
+   * Write a score into an empty cell
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} value - Score (0 scratches the cell)
+   * @returns {boolean} False if the cell does not exist or is already filled
+   */
+  place(colId, rowId, value) {
+    if (!this.#scores[colId] || !this.getRow(rowId)) return false;
+    if (!this.isOpen(colId, rowId)) return false;
+
+    this.#scores[colId][rowId] = value;
+    this.#announced = null;
+    return true;
+  }
+
+  /**
+   * Get all scores of a column
+   * @param {string} colId
+   * @returns {Object} Map of rowId -> score
+   */
+  getColumnScores(colId) {
+    return { ...this.#scores[colId] };
+  }
+
+  /**
+   * Check if a column is scratched (given up: its open cells were crossed out)
+   * @param {string} colId
+   * @returns {boolean}
+   */
+  isColumnScratched(colId) {
+    return this.#scratchedColumns.has(colId);
+  }
+
+  /**
+   * Explain why a column cannot be scratched
+   * A column is scratched before the first roll of a turn, and for good;
+   * the last column with open cells has to be played out
+   * @param {string} colId
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {string|null} Reason, or null if the column can be scratched
+   */
+  getColumnScratchBlockReason(colId, rollCount) {
+    const col = this.getColumn(colId);
+    const hasOpenCells = (id) => this.rows.some(row => this.isOpen(id, row.id));
+
+    if (!col) return 'Unknown column';
+    if (this.isColumnScratched(colId)) return `Column ${col.label} is already scratched`;
+    if (!hasOpenCells(colId)) return `Column ${col.label} is already filled`;
+    if (!this.columns.some(c => c.id !== colId && hasOpenCells(c.id))) {
+      return `Column ${col.label} is the last one left to play`;
+    }
+    if (rollCount !== 0) return 'Scratch a column before rolling';
+    return null;
+  }
+
+  /**
+   * Check if a column can be scratched
+   * @param {string} colId
+   * @param {number} rollCount
+   * @returns {boolean}
+   */
+  canScratchColumn(colId, rollCount) {
+    return this.getColumnScratchBlockReason(colId, rollCount) === null;
+  }
+
+  /**
+   * Scratch a column: every open cell is crossed out (0 points)
+   * @param {string} colId
+   * @returns {string[]} Rows crossed out
+   */
+  scratchColumn(colId) {
+    if (!this.#scores[colId]) return [];
+
+    const rows = this.rows.filter(row => this.isOpen(colId, row.id)).map(row => row.id);
+    rows.forEach(rowId => {
+      this.#scores[colId][rowId] = 0;
+    });
+    this.#scratchedColumns.add(colId);
+    return rows;
+  }
+
+  // ==========================================================================
+  // Announcements
+  // ==========================================================================
+
+  /**
+   * Get the cell announced this turn
+   * @returns {{column: string, row: string}|null}
+   */
+  get announced() {
+    return this.#announced ? { ...this.#announced } : null;
+  }
+
+  /**
+   * Explain why a cell cannot be announced
+   * A cell of an announce column is announced right after the first roll,
+   * and is then the only cell that can be played this turn
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} rollCount
+   * @returns {string|null} Reason, or null if the cell can be announced
+   */
+  getAnnounceBlockReason(colId, rowId, rollCount) {
+    const col = this.getColumn(colId);
+    const row = this.getRow(rowId);
+
+    if (!col || !row) return 'Unknown cell';
+    if (col.order !== 'announce') return `Column ${col.label} is not an announce column`;
+    if (this.#announced) return `${this.getRow(this.#announced.row).label} is already announced`;
+    if (!this.isOpen(colId, rowId)) return `${row.label} in column ${col.label} is already filled`;
+    if (rollCount !== 1) return 'Announce right after the first roll';
+    return null;
+  }
+
+  /**
+   * Check if a cell can be announced
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} rollCount
+   * @returns {boolean}
+   */
+  canAnnounce(colId, rowId, rollCount) {
+    return this.getAnnounceBlockReason(colId, rowId, rollCount) === null;
+  }
+
+  /**
+   * Get every cell that can be announced
+   * @param {number} rollCount
+   * @returns {Array<{column: string, row: string}>}
+   */
+  getAnnounceableCells(rollCount) {
+    return this.columns
+      .filter(col => col.order === 'announce')
+      .flatMap(col => this.rows.map(row => ({ column: col.id, row: row.id })))
+      .filter(({ column, row }) => this.canAnnounce(column, row, rollCount));
+  }
+
+  /**
+   * Check if the turn can't go on without an announcement: after the first
+   * roll, with nothing announced and only announce columns left to play
+   * @param {number} rollCount
+   * @returns {boolean}
+   */
+  needsAnnouncement(rollCount) {
+    if (rollCount !== 1 || this.#announced) return false;
+
+    const available = this.getAvailableColumns();
+    return available.length > 0 && available.every(colId => this.getColumn(colId).order === 'announce');
+  }
+
+  /**
+   * Announce the cell to play this turn
+   * @param {string} colId
+   * @param {string} rowId
+   * @returns {boolean} False if the cell is not an open cell of an announce column
+   */
+  announce(colId, rowId) {
+    if (this.getColumn(colId)?.order !== 'announce' || !this.getRow(rowId)) return false;
+    if (!this.isOpen(colId, rowId)) return false;
+
+    this.#announced = { column: colId, row: rowId };
+    return true;
+  }
+
+  // ==========================================================================
+  // Scoring
+  // ==========================================================================
+
+  /**
+   * Calculate what every row would score with the given dice
+   * @param {number[]} values - Array of 5 dice values
+   * @returns {Object} Map of rowId -> score
+   */
+  calculateScores(values) {
+    const scores = {};
+    this.rows.forEach(row => {
+      scores[row.id] = this.#dice.scoreRow(row, values);
+    });
+    return scores;
+  }
+
+  /**
+   * Calculate the totals of a column
+   * @param {string} colId
+   * @returns {{upper: number, bonus: number, lower: number, total: number}}
+   */
+  getTotals(colId) {
+    // Max and min of a difference count as one, in the section of the max row
+    const { difference } = this.#ruleset;
+    const counted = (row) => !difference || (row.id !== difference.max && row.id !== difference.min);
+    const sum = (rows) => rows.filter(counted).reduce((acc, row) => acc + (this.getScore(colId, row.id) || 0), 0) +
+      (difference && rows.some(row => row.id === difference.max) ? this.getDifference(colId) ?? 0 : 0);
+
+    const upper = sum(this.upperRows);
+    const lower = sum(this.lowerRows);
+    const bonus = this.getBonus(colId, upper);
+
+    return { upper, bonus, lower, total: upper + bonus + lower };
+  }
+
+  /**
+   * Get what the max and min rows of a difference add up to in a column:
+   * (max - min) × times, never below 0. Scratching max or min loses it
+   * @param {string} colId
+   * @param {Object} [scores={}] - Map of rowId -> score to use instead of the
+   *   written ones, to preview a move
+   * @returns {number|null} null without a difference, or while one of its
+   *   rows is open
+   */
+  getDifference(colId, scores = {}) {
+    const { difference } = this.#ruleset;
+    if (!difference) return null;
+
+    const [max, min, times] = [difference.max, difference.min, difference.times]
+      .map(rowId => scores[rowId] ?? this.getScore(colId, rowId));
+    if (max === null || min === null || times === null) return null;
+    if (max === 0 || min === 0) return 0;
+
+    return Math.max(0, (max - min) * times);
+  }
+
+  // ==========================================================================
+  // Upper Bonus
+  // ==========================================================================
+
+  /**
+   * Get the bonus tiers of a column: its own, or the ruleset's
+   * @param {string} colId
+   * @returns {Array<{threshold: number, value: number}>} Lowest threshold first
+   */
+  getBonusTiers(colId) {
+    return (this.getColumn(colId)?.bonus ?? this.#ruleset.bonus).tiers;
+  }
+
+  /**
+   * Get the bonus an upper total earns in a column
+   * Tiers don't add up: the highest threshold reached sets the bonus
+   * @param {string} colId
+   * @param {number} upper - Upper section total
+   * @returns {number}
+   */
+  getBonus(colId, upper) {
+    const reached = this.getBonusTiers(colId).filter(tier => upper >= tier.threshold);
+    return reached.length ? reached[reached.length - 1].value : 0;
+  }
+
+  /**
+   * Get how far a column is from its next bonus tier
+   * The best case fills every open upper cell with all dice on its face
+   * @param {string} colId
+   * @returns {{
+   *   upper: number,
+   *   bonus: number,
+   *   next: {threshold: number, value: number}|null,
+   *   needed: number,
+   *   maxUpper: number,
+   *   reachable: boolean
+   * }} next is null once the top tier is reached; needed is the points
+   *   short of it, reachable whether the best case still gets there
+   */
+  getBonusProgress(colId) {
+    const { upper, bonus } = this.getTotals(colId);
+    const { count, faces } = this.#ruleset.dice;
+    const maxUpper = upper + this.upperRows
+      .filter(row => this.isOpen(colId, row.id))
+      .reduce((acc, row) => acc + count * (row.face ?? faces), 0);
+
+    const next = this.getBonusTiers(colId).find(tier => tier.threshold > upper && tier.value > bonus) ?? null;
+    return {
+      upper,
+      bonus,
+      next,
+      needed: next ? next.threshold - upper : 0,
+      maxUpper,
+      reachable: next !== null && maxUpper >= next.threshold
+    };
+  }
+
+  /**
+   * Get total score for a column
+   * @param {string} colId
+   * @returns {number}
+   */
+  getColumnTotal(colId) {
+    return this.getTotals(colId).total;
+  }
+
+  /**
+   * Get grand total across all columns
+   * @returns {number}
+   */
+  getGrandTotal() {
+    return this.columns.reduce((acc, col) => acc + this.getColumnTotal(col.id), 0);
+  }
+
+  // ==========================================================================
+  // Placement Rules
+  // ==========================================================================
+
+  /**
+   * Check if a column accepts a score after the given number of rolls
+   * @param {string} colId
+   * @param {number} rollCount
+   * @returns {boolean}
+   */
+  isColumnValidForRoll(colId, rollCount) {
+    const col = this.getColumn(colId);
+    if (!col || rollCount < 1) return false;
+    return rollCount <= col.maxTries;
+  }
+
+  /**
+   * Get the cells a column lets you fill next
+   * - down / up: the first open row from the top / bottom
+   * - middle: the first open row going up from the middle and the first going
+   *   down from it; the middle is the line between the upper and lower
+   *   sections (the middle of the sheet when there is only one section)
+   * - random / announce: every open row
+   * @param {string} colId
+   * @returns {string[]} Row IDs, empty if the column is full
+   */
+  getNextCells(colId) {
+    const col = this.getColumn(colId);
+    const firstOpen = (rows) => rows.find(row => this.isOpen(colId, row.id))?.id;
+    let next;
+
+    switch (col?.order) {
+      case 'down':
+        next = [firstOpen(this.rows)];
+        break;
+      case 'up':
+        next = [firstOpen([...this.rows].reverse())];
+        break;
+      case 'middle': {
+        const upper = this.upperRows.length;
+        const middle = upper > 0 && upper < this.rows.length ? upper : Math.ceil(this.rows.length / 2);
+        next = [firstOpen(this.rows.slice(0, middle).reverse()), firstOpen(this.rows.slice(middle))];
+        break;
+      }
+      default:
+        next = this.rows.filter(row => this.isOpen(colId, row.id)).map(row => row.id);
+    }
+
+    return next.filter(Boolean);
+  }
+
+  /**
+   * Explain why a cell cannot be played this turn (column, roll and order rules)
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} rollCount
+   * @returns {string|null} Reason, or null if the cell is playable
+   */
+  getBlockReason(colId, rowId, rollCount) {
+    const col = this.getColumn(colId);
+    const row = this.getRow(rowId);
+
+    if (!col || !row) return 'Unknown cell';
+    if (!this.isOpen(colId, rowId)) return `${row.label} in column ${col.label} is already filled`;
+    if (rollCount < 1) return 'Roll the dice first';
+
+    const announced = this.#announced;
+    if (announced && (announced.column !== colId || announced.row !== rowId)) {
+      return `${this.getRow(announced.row).label} was announced in column ${this.getColumn(announced.column).label}`;
+    }
+    if (col.order === 'announce' && !announced) {
+      return `Column ${col.label} only takes a row announced after the first roll`;
+    }
+
+    if (!this.isColumnValidForRoll(colId, rollCount)) {
+      return col.maxTries === 1
+        ? `Column ${col.label} only allows the first roll`
+        : `Column ${col.label} only allows the first ${col.maxTries} rolls`;
+    }
+
+    if (ORDER_DIRECTIONS[col.order]) {
+      const next = this.getNextCells(colId);
+      if (!next.includes(rowId)) {
+        const labels = next.map(id => this.getRow(id).label).join(' or ');
+        return `Column ${col.label} is filled ${ORDER_DIRECTIONS[col.order]}, next is ${labels}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a cell can be played this turn (column, roll and order rules)
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} rollCount
+   * @returns {boolean}
+   */
+  isPlayable(colId, rowId, rollCount) {
+    return this.getBlockReason(colId, rowId, rollCount) === null;
+  }
+
+  /**
+   * Find the ruleset constraint a score would break (e.g. Chance- < Chance+)
+   * Constraints only apply against cells holding a score; scratches never break one
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} value - Score to place
+   * @returns {Object|null} The violated constraint, or null
+   */
+  getViolatedConstraint(colId, rowId, value) {
+    if (value === 0) return null;
+
+    return this.#ruleset.constraints.find(c => {
+      if (c.type !== 'lessThan') return false;
+
+      const than = this.getScore(colId, c.than);
+      if (rowId === c.row && than) {
+        return value >= than;
+      }
+
+      const lower = this.getScore(colId, c.row);
+      if (rowId === c.than && lower) {
+        return value <= lower;
+      }
+
+      return false;
+    }) ?? null;
+  }
+
+  /**
+   * Describe a violated constraint from the point of view of the row being placed
+   * @param {Object} constraint
+   * @param {string} rowId
+   * @returns {string}
+   */
+  #describeConstraint(constraint, rowId) {
+    const row = this.getRow(constraint.row).label;
+    const than = this.getRow(constraint.than).label;
+    return rowId === constraint.row
+      ? `${row} must be lower than ${than}`
+      : `${than} must be higher than ${row}`;
+  }
+
+  /**
+   * Check if the score of the current dice may be placed in a cell
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number[]} values - Current dice values
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {{legal: boolean, reason: string|null, score: number}}
+   */
+  checkPlacement(colId, rowId, values, rollCount) {
+    return this.#checkScore(colId, rowId, this.calculateScores(values)[rowId] ?? 0, rollCount);
+  }
+
+  /**
+   * Check if a given score may be placed in a cell
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} score
+   * @param {number} rollCount
+   * @returns {{legal: boolean, reason: string|null, score: number}}
+   */
+  #checkScore(colId, rowId, score, rollCount) {
+    const blocked = this.getBlockReason(colId, rowId, rollCount);
+    if (blocked) {
+      return { legal: false, reason: blocked, score };
+    }
+
+    const constraint = this.getViolatedConstraint(colId, rowId, score);
+    if (constraint) {
+      return { legal: false, reason: this.#describeConstraint(constraint, rowId), score };
+    }
+
+    return { legal: true, reason: null, score };
+  }
+
+  /**
+   * Check if a cell may be scratched (saved with 0 points) this turn
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {{legal: boolean, reason: string|null, score: number}}
+   */
+  checkScratch(colId, rowId, rollCount) {
+    const reason = this.getBlockReason(colId, rowId, rollCount);
+    return { legal: reason === null, reason, score: 0 };
+  }
+
+  /**
+   * Check if a score may be placed in a cell
+   * @param {string} colId
+   * @param {string} rowId
+   * @param {number[]} values - Current dice values
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {boolean}
+   */
+  canPlace(colId, rowId, values, rollCount) {
+    return this.checkPlacement(colId, rowId, values, rollCount).legal;
+  }
+
+  /**
+   * List every open cell with its placement for the current dice
+   * Cells scoring more than 0 also get a scratch move when they are playable;
+   * blocked cells carry the reason they cannot be played
+   * @param {number[]} values - Current dice values
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {Array<{column: string, row: string, score: number, scratch: boolean, legal: boolean, reason: string|null}>}
+   */
+  getMoves(values, rollCount) {
+    const moves = [];
+    const scores = this.calculateScores(values);
+
+    this.columns.forEach(col => {
+      this.rows.forEach(row => {
+        if (!this.isOpen(col.id, row.id)) return;
+
+        const { legal, reason, score } = this.#checkScore(col.id, row.id, scores[row.id], rollCount);
+        moves.push({ column: col.id, row: row.id, score, scratch: score === 0, legal, reason });
+
+        if (score > 0 && (legal || this.isPlayable(col.id, row.id, rollCount))) {
+          moves.push({ column: col.id, row: row.id, score: 0, scratch: true, legal: true, reason: null });
+        }
+      });
+    });
+
+    return moves;
+  }
+
+  /**
+   * Get every legal placement for the current dice, scratches included
+   * @param {number[]} values - Current dice values
+   * @param {number} rollCount - Rolls taken this turn
+   * @returns {Array<{column: string, row: string, score: number, scratch: boolean}>}
+   */
+  getLegalMoves(values, rollCount) {
+    return this.getMoves(values, rollCount)
+      .filter(move => move.legal)
+      .map(({ column, row, score, scratch }) => ({ column, row, score, scratch }));
+  }
+
+  /**
+   * Get columns that still have at least one empty cell
+   * @returns {string[]} Column IDs
+   */
+  getAvailableColumns() {
+    return this.columns
+      .filter(col => this.rows.some(row => this.isOpen(col.id, row.id)))
+      .map(col => col.id);
+  }
+
+  /**
+   * Rolls the sheet allows this turn: the most tries any column with open cells allows
+   * @param {{announce?: boolean}} [options] - announce: false leaves announce columns out
+   * @returns {number}
+   */
+  getMaxRolls({ announce = true } = {}) {
+    const tries = this.getAvailableColumns()
+      .map(colId => this.getColumn(colId))
+      .filter(col => announce || col.order !== 'announce')
+      .map(col => col.maxTries);
+    return tries.length ? Math.max(...tries) : 0;
+  }
+
+  /**
+   * Check if every cell of the sheet is filled
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.columns.every(col => this.rows.every(row => !this.isOpen(col.id, row.id)));
+  }
+
+  // ==========================================================================
+  // Serialization
+  // ==========================================================================
+
+  /**
+   * Export the sheet as plain data
+   * @returns {{scores: Object, scratchedColumns: string[], announced: Object|null}}
+   */
+  toJSON() {
+    const scores = {};
+    this.columns.forEach(col => {
+      scores[col.id] = { ...this.#scores[col.id] };
+    });
+    return { scores, scratchedColumns: [...this.#scratchedColumns], announced: this.announced };
+  }
+
+  /**
+   * Load sheet data as produced by toJSON()
+   * @param {Object} data
+   */
+  load(data) {
+    this.reset();
+    for (const [colId, rows] of Object.entries(data.scores || {})) {
+      if (!this.#scores[colId]) continue;
+      Object.assign(this.#scores[colId], rows);
+    }
+    // The crossed out cells are in the scores already
+    (data.scratchedColumns || []).forEach(colId => {
+      if (this.#scores[colId]) this.#scratchedColumns.add(colId);
+    });
+    if (data.announced) {
+      this.announce(data.announced.column, data.announced.row);
+    }
+  }
+}
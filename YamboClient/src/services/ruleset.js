@@ -0,0 +1,278 @@
+/**
+ * Ruleset Service
+ * Loads and validates the JSON rulesets that drive the sheet, game state and dice
+ * House rules are a JSON file away - see README "Rulesets" for the schema
+ */
+
+import { DiceEngine } from './dice-engine.js';
+import { compileFormula } from './formula.js';
+import classic from '../rulesets/classic.json' with { type: 'json' };
+import najava from '../rulesets/najava.json' with { type: 'json' };
+import middle from '../rulesets/middle.json' with { type: 'json' };
+import maxMin from '../rulesets/max-min.json' with { type: 'json' };
+
+const COLUMN_ORDERS = ['down', 'up', 'middle', 'random', 'announce'];
+const SECTIONS = ['upper', 'lower'];
+const CONSTRAINT_TYPES = ['lessThan'];
+const ID_PATTERN = /^[\w-]+$/;
+
+// House rules for the lower section: formulas by scoring type (see README "Scoring Formulas")
+export const SCORING_PRESETS = [
+  {
+    id: 'fixed',
+    name: 'Fixed 20 / 30 / 40',
+    formulas: { fullHouse: '20', straight: '30', yambo: '40' }
+  },
+  {
+    id: 'sumBonus',
+    name: 'Sum + bonus',
+    formulas: { fullHouse: 'sum + 30', straight: '35 + 10 * large', fourOfAKind: 'sum + 40', yambo: 'sum + 50' }
+  },
+  {
+    id: 'yahtzee',
+    name: 'Yahtzee style',
+    formulas: { fullHouse: '25', straight: '30 + 10 * large', yambo: '50' }
+  }
+];
+
+/**
+ * Recursively freeze a parsed ruleset so it can be shared safely
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function deepFreeze(obj) {
+  Object.values(obj).forEach(val => {
+    if (val && typeof val === 'object') {
+      deepFreeze(val);
+    }
+  });
+  return Object.freeze(obj);
+}
+
+/**
+ * Throw a ruleset validation error
+ * @param {string} message
+ */
+function invalid(message) {
+  throw new Error(`Invalid ruleset: ${message}`);
+}
+
+/**
+ * Check that a value can serve as an id: letters, digits, "_" and "-" only,
+ * so ids are safe in markup and selectors
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isId(value) {
+  return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+/**
+ * Check that a value is an integer within a range
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isIntInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate and normalize an upper section bonus
+ * Either a single {threshold, value} or {tiers: [{threshold, value}]}; tiers
+ * are sorted by threshold and those worth nothing are dropped
+ * @param {Object} source
+ * @param {string} name - What the bonus belongs to, for errors
+ * @returns {{tiers: Array<{threshold: number, value: number}>}}
+ */
+function parseBonus(source, name) {
+  if (!source || typeof source !== 'object') invalid(`${name} must be an object`);
+
+  const tiers = Array.isArray(source.tiers) ? source.tiers : [{ threshold: 0, value: 0, ...source }];
+  tiers.forEach(tier => {
+    if (typeof tier?.threshold !== 'number' || typeof tier?.value !== 'number') {
+      invalid(`${name} needs a numeric "threshold" and "value" for each tier`);
+    }
+  });
+
+  return {
+    tiers: tiers
+      .filter(tier => tier.value !== 0)
+      .map(({ threshold, value }) => ({ threshold, value }))
+      .sort((a, b) => a.threshold - b.threshold)
+  };
+}
+
+/**
+ * Validate and normalize a ruleset
+ * @param {Object|string} source - Ruleset object or JSON string
+ * @returns {Object} Frozen, normalized ruleset
+ * @throws {Error} When the ruleset does not match the schema
+ */
+export function parseRuleset(source) {
+  const json = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!json || typeof json !== 'object') invalid('expected an object');
+  // Rules with a scoring preset are "base+preset" (see applyScoringPreset())
+  if (typeof json.id !== 'string' || !json.id.split('+').every(isId)) {
+    invalid('"id" must hold letters, digits, "_" and "-" only');
+  }
+  if (json.name !== undefined && typeof json.name !== 'string') invalid('"name" must be a string');
+
+  // Dice
+  const dice = { count: 5, faces: 6, ...json.dice };
+  if (!isIntInRange(dice.count, 1, 10)) invalid('"dice.count" must be between 1 and 10');
+  if (!isIntInRange(dice.faces, 2, 6)) invalid('"dice.faces" must be between 2 and 6');
+
+  // Columns
+  if (!Array.isArray(json.columns) || json.columns.length === 0) invalid('"columns" must be a non-empty array');
+  const columns = json.columns.map((col, i) => {
+    if (!isId(col?.id)) invalid(`column ${i} needs an "id" of letters, digits, "_" and "-"`);
+    if (col.label !== undefined && typeof col.label !== 'string') invalid(`column "${col.id}" "label" must be a string`);
+    if (!COLUMN_ORDERS.includes(col.order)) invalid(`column "${col.id}" has unknown order "${col.order}"`);
+    if (!isIntInRange(col.maxTries, 1, 10)) invalid(`column "${col.id}" needs "maxTries" of at least 1`);
+    if (col.points !== undefined && !isIntInRange(col.points, 0, Infinity)) {
+      invalid(`column "${col.id}" "points" must be a whole number of at least 0`);
+    }
+    return {
+      id: col.id,
+      label: col.label ?? col.id,
+      order: col.order,
+      maxTries: col.maxTries,
+      points: col.points ?? 0,
+      ...(col.bonus !== undefined && { bonus: parseBonus(col.bonus, `column "${col.id}" "bonus"`) })
+    };
+  });
+  if (new Set(columns.map(c => c.id)).size !== columns.length) invalid('column ids must be unique');
+
+  // Rows
+  if (!Array.isArray(json.rows) || json.rows.length === 0) invalid('"rows" must be a non-empty array');
+  const rows = json.rows.map((row, i) => {
+    if (!isId(row?.id)) invalid(`row ${i} needs an "id" of letters, digits, "_" and "-"`);
+    if (row.label !== undefined && typeof row.label !== 'string') invalid(`row "${row.id}" "label" must be a string`);
+    if (!SECTIONS.includes(row.section)) invalid(`row "${row.id}" has unknown section "${row.section}"`);
+    if (!DiceEngine.SCORING.includes(row.scoring)) invalid(`row "${row.id}" has unknown scoring "${row.scoring}"`);
+    if (row.scoring === 'upper' && !isIntInRange(row.face, 1, dice.faces)) {
+      invalid(`row "${row.id}" needs a "face" between 1 and ${dice.faces}`);
+    }
+    if (row.fixedScore !== undefined && !isIntInRange(row.fixedScore, 0, Infinity)) {
+      invalid(`row "${row.id}" "fixedScore" must be a whole number of at least 0`);
+    }
+    if (row.formula !== undefined) {
+      try {
+        compileFormula(row.formula);
+      } catch (e) {
+        invalid(`row "${row.id}" has an ${e.message.replace(/^Invalid/, 'invalid')}`);
+      }
+    }
+    return {
+      id: row.id,
+      label: row.label ?? row.id,
+      section: row.section,
+      scoring: row.scoring,
+      ...(row.face !== undefined && { face: row.face }),
+      ...(row.fixedScore !== undefined && { fixedScore: row.fixedScore }),
+      ...(row.formula !== undefined && { formula: row.formula })
+    };
+  });
+  const rowIds = rows.map(r => r.id);
+  if (new Set(rowIds).size !== rows.length) invalid('row ids must be unique');
+
+  // Upper section bonus, unless a column has its own
+  const bonus = parseBonus(json.bonus ?? {}, '"bonus"');
+
+  // Constraints between rows
+  const constraints = (json.constraints || []).map((c, i) => {
+    if (!CONSTRAINT_TYPES.includes(c?.type)) invalid(`constraint ${i} has unknown type "${c?.type}"`);
+    if (!rowIds.includes(c.row) || !rowIds.includes(c.than)) invalid(`constraint ${i} refers to an unknown row`);
+    return { type: c.type, row: c.row, than: c.than };
+  });
+
+  // Max and min rows scored together as (max - min) × times
+  if (json.difference !== undefined) {
+    const { max, min, times } = json.difference ?? {};
+    if (![max, min, times].every(id => rowIds.includes(id))) {
+      invalid('"difference" needs "max", "min" and "times" rows');
+    }
+    if (new Set([max, min, times]).size !== 3) invalid('"difference" rows must be different');
+  }
+
+  // Scoring preset the rows came from (see applyScoringPreset())
+  if (json.preset !== undefined &&
+      (!isId(json.preset?.id) || !isId(json.preset?.base))) {
+    invalid('"preset" needs an "id" and a "base"');
+  }
+
+  return deepFreeze({
+    id: json.id,
+    name: json.name ?? json.id,
+    dice,
+    columns,
+    rows,
+    bonus,
+    constraints,
+    ...(json.difference && {
+      difference: { max: json.difference.max, min: json.difference.min, times: json.difference.times }
+    }),
+    ...(json.preset && { preset: { id: json.preset.id, base: json.preset.base } })
+  });
+}
+
+/**
+ * Fetch and parse a ruleset from a URL
+ * @param {string} url
+ * @returns {Promise<Object>} Parsed ruleset
+ */
+export async function loadRuleset(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return parseRuleset(await response.json());
+}
+
+/**
+ * Score the lower section of a ruleset by a preset
+ * Rows of the scoring types the preset covers take its formula; the others
+ * keep theirs. The result is a ruleset of its own, "<base>+<preset>"
+ * @param {Object} ruleset - Parsed ruleset to start from
+ * @param {string} presetId - One of SCORING_PRESETS
+ * @returns {Object} Parsed ruleset
+ * @throws {Error} On an unknown preset
+ */
+export function applyScoringPreset(ruleset, presetId) {
+  const preset = SCORING_PRESETS.find(p => p.id === presetId);
+  if (!preset) throw new Error(`Unknown scoring preset "${presetId}"`);
+
+  const base = ruleset.preset?.base ?? ruleset.id;
+  const name = ruleset.preset ? ruleset.name.replace(/ \([^)]*\)$/, '') : ruleset.name;
+  return parseRuleset({
+    ...ruleset,
+    id: `${base}+${preset.id}`,
+    name: `${name} (${preset.name})`,
+    rows: ruleset.rows.map(row => {
+      const formula = preset.formulas[row.scoring];
+      if (!formula) return row;
+      const { fixedScore, ...rest } = row;
+      return { ...rest, formula };
+    }),
+    preset: { id: preset.id, base }
+  });
+}
+
+/**
+ * Check whether two parsed rulesets play the same
+ * An edited copy of a ruleset keeps its id, so ids alone do not tell
+ * @param {Object} a - Parsed ruleset
+ * @param {Object} b - Parsed ruleset
+ * @returns {boolean}
+ */
+export function isSameRuleset(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Built-in rulesets
+export const DEFAULT_RULESET = parseRuleset(classic);
+
+export const RULESETS = [DEFAULT_RULESET, parseRuleset(najava), parseRuleset(middle), parseRuleset(maxMin)];
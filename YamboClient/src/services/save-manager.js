@@ -0,0 +1,288 @@
+/**
+ * Save Manager Service
+ * Autosaves the game after every change and keeps named save slots
+ * in localStorage, so a closed tab doesn't end a game
+ */
+
+import { gameState as defaultGameState } from './game-state.js';
+import { diceEngine as defaultDiceEngine } from './dice-engine.js';
+
+const AUTOSAVE_KEY = 'yambo-autosave';
+const SLOTS_KEY = 'yambo-saves';
+const SAVE_VERSION = 1;
+
+// Game state events that change something worth saving
+const SAVE_EVENTS = [
+  'reset', 'rulesetChange', 'practiceChange', 'playersChange', 'playerNameChange', 'turnChange', 'rollChange',
+  'diceChange', 'diceHoldChange', 'announce', 'scoreChange', 'columnScratch', 'aiTurn', 'restore'
+];
+
+export class SaveManager extends EventTarget {
+  #gameState;
+  #diceEngine;
+  #loading = false;
+  #started = false;
+
+  /**
+   * @param {GameState} [gameState] - Game to save
+   * @param {DiceEngine} [diceEngine] - Dice the game is rolled with (saved to continue its seed)
+   */
+  constructor(gameState = defaultGameState, diceEngine = defaultDiceEngine) {
+    super();
+    this.#gameState = gameState;
+    this.#diceEngine = diceEngine;
+  }
+
+  // ==========================================================================
+  // Autosave
+  // ==========================================================================
+
+  /**
+   * Start saving the game after every change
+   */
+  start() {
+    if (this.#started) return;
+    this.#started = true;
+
+    SAVE_EVENTS.forEach(type => this.#gameState.on(type, () => this.autosave()));
+  }
+
+  /**
+   * Save the game to the autosave slot
+   */
+  autosave() {
+    // Replays show other games, the one being played is saved already
+    if (this.#loading || this.#gameState.isReadOnly) return;
+    this.#write(AUTOSAVE_KEY, this.#capture());
+  }
+
+  /**
+   * Get the autosaved game, if there is an unfinished one worth resuming
+   * @returns {Object|null}
+   */
+  getAutosave() {
+    const save = this.#read(AUTOSAVE_KEY);
+    if (!save) return null;
+
+    // Older formats and hand-edited values can't be resumed, don't offer them again
+    if (!this.#isSave(save)) {
+      console.warn('Ignoring invalid autosave');
+      this.clearAutosave();
+      return null;
+    }
+    if (save.game.gameOver) return null;
+
+    const { turn, rollCount, activePlayer } = save.game;
+    return turn > 0 || rollCount > 0 || activePlayer > 0 ? save : null;
+  }
+
+  /**
+   * Continue the autosaved game
+   * @returns {boolean} False if there was nothing to resume
+   */
+  resume() {
+    const save = this.getAutosave();
+    if (!save) return false;
+
+    this.#apply(save);
+    return true;
+  }
+
+  /**
+   * Forget the autosaved game
+   */
+  clearAutosave() {
+    try {
+      localStorage.removeItem(AUTOSAVE_KEY);
+    } catch (e) {
+      console.warn('Failed to clear autosave:', e);
+    }
+  }
+
+  // ==========================================================================
+  // Save Slots
+  // ==========================================================================
+
+  /**
+   * List the named saves, newest first
+   * @returns {Array<{name: string, savedAt: string, turn: number, players: string[]}>}
+   */
+  listSlots() {
+    return Object.entries(this.#readSlots())
+      .filter(([, save]) => this.#isSave(save))
+      .map(([name, save]) => ({
+        name,
+        savedAt: save.savedAt,
+        turn: save.game.turn,
+        players: save.game.players.map(p => p.name)
+      }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Check if a named save exists
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasSlot(name) {
+    return name in this.#readSlots();
+  }
+
+  /**
+   * Save the game under a name (overwrites a save of the same name)
+   * @param {string} name
+   * @returns {boolean} False if the save could not be written
+   */
+  saveSlot(name) {
+    const slots = this.#readSlots();
+    slots[name] = this.#capture();
+
+    const saved = this.#write(SLOTS_KEY, slots);
+    if (saved) {
+      this.#emit('slotsChange', { slots: this.listSlots() });
+    }
+    return saved;
+  }
+
+  /**
+   * Load a named save
+   * @param {string} name
+   * @throws {Error} When the save is missing or invalid
+   */
+  loadSlot(name) {
+    const save = this.#readSlots()[name];
+    if (!save) {
+      throw new Error(`No saved game named "${name}"`);
+    }
+    this.#apply(save);
+  }
+
+  /**
+   * Delete a named save
+   * @param {string} name
+   */
+  deleteSlot(name) {
+    const slots = this.#readSlots();
+    delete slots[name];
+    this.#write(SLOTS_KEY, slots);
+    this.#emit('slotsChange', { slots: this.listSlots() });
+  }
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  /**
+   * Capture the game and the position of its seeded dice
+   * @returns {Object}
+   */
+  #capture() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      draws: this.#diceEngine.draws,
+      game: this.#gameState.toJSON()
+    };
+  }
+
+  /**
+   * Load a captured game and continue its dice where they left off
+   * @param {Object} save
+   * @throws {Error} When the save is invalid
+   */
+  #apply(save) {
+    if (save.version !== SAVE_VERSION) {
+      throw new Error(`Unsupported save version ${save.version}`);
+    }
+
+    this.#loading = true;
+    try {
+      this.#gameState.load(save.game);
+      this.#diceEngine.seed = this.#gameState.seed;
+      this.#diceEngine.skip(save.draws || 0);
+    } finally {
+      this.#loading = false;
+    }
+
+    if (this.#started) {
+      this.autosave();
+    }
+  }
+
+  /**
+   * Check that a stored value has the shape #capture() gives it
+   * The game itself is validated when it is loaded
+   * @param {*} save
+   * @returns {boolean}
+   */
+  #isSave(save) {
+    return !!save && typeof save === 'object' && !!save.game && typeof save.game === 'object' &&
+      Array.isArray(save.game.players);
+  }
+
+  /**
+   * Read all named saves
+   * @returns {Object} Map of name -> save
+   */
+  #readSlots() {
+    return this.#read(SLOTS_KEY) || {};
+  }
+
+  /**
+   * Read JSON from localStorage
+   * @param {string} key
+   * @returns {*} Parsed value, or null when missing or unreadable
+   */
+  #read(key) {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+      console.warn(`Failed to read ${key}:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Write JSON to localStorage
+   * @param {string} key
+   * @param {*} value
+   * @returns {boolean} False if storage is unavailable or full
+   */
+  #write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.warn(`Failed to write ${key}:`, e);
+      return false;
+    }
+  }
+
+  // ==========================================================================
+  // Event Helpers
+  // ==========================================================================
+
+  /**
+   * Emit a custom event
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Subscribe to save slot changes
+   * @param {string} type - Event type
+   * @param {Function} callback - Event handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, callback) {
+    this.addEventListener(type, callback);
+    return () => this.removeEventListener(type, callback);
+  }
+}
+
+// Singleton instance for convenience
+export const saveManager = new SaveManager();
@@ -0,0 +1,266 @@
+/**
+ * Turn Timer Service
+ * Timed mode: every human turn gets a countdown, and when it runs out the
+ * dice are played for the player - the best cell, or a scratch - so a game
+ * never stalls on someone agonising over a cell
+ */
+
+import { gameState as defaultGameState } from './game-state.js';
+import { diceEngine as defaultDiceEngine } from './dice-engine.js';
+import { hintEngine } from './hint-engine.js';
+import { AiPlayer } from './ai-player.js';
+
+// How often the countdown is checked, in ms
+const TICK_INTERVAL = 250;
+
+export class TurnTimer extends EventTarget {
+  // What to do when time runs out
+  static POLICIES = ['place', 'scratch'];
+
+  // Countdowns a turn can have, in seconds (0 = off)
+  static DURATIONS = [0, 15, 30, 60, 120];
+
+  // The last seconds of a turn, when the clock sounds
+  static WARNING_SECONDS = 5;
+
+  #gameState;
+  #diceEngine;
+  #seconds = 0;
+  #policy = 'place';
+  #started = false;
+  #turnKey = null;
+  #deadline = null;
+  #interval = null;
+  #remaining = null;
+
+  // Announces cells for players out of time (announce columns)
+  #announcer = new AiPlayer({ difficulty: 'medium' });
+
+  /**
+   * @param {GameState} [gameState] - Game whose turns are timed
+   * @param {DiceEngine} [diceEngine] - Dice rolled for a player out of time
+   */
+  constructor(gameState = defaultGameState, diceEngine = defaultDiceEngine) {
+    super();
+    this.#gameState = gameState;
+    this.#diceEngine = diceEngine;
+  }
+
+  // ==========================================================================
+  // Settings
+  // ==========================================================================
+
+  /**
+   * Get the countdown of a turn
+   * @returns {number} Seconds, 0 when turns are not timed
+   */
+  get seconds() {
+    return this.#seconds;
+  }
+
+  /**
+   * Set the countdown of a turn, starting it over
+   * @param {number} seconds - 0 turns the timer off
+   */
+  set seconds(seconds) {
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error(`Invalid turn time "${seconds}"`);
+    }
+    this.#seconds = seconds;
+    this.#turnKey = null;
+    this.#update();
+  }
+
+  /**
+   * Get what happens when time runs out
+   * @returns {'place'|'scratch'}
+   */
+  get policy() {
+    return this.#policy;
+  }
+
+  /**
+   * Set what happens when time runs out
+   * @param {'place'|'scratch'} policy - place saves the best move, scratch
+   *   scratches the cell that costs the least
+   */
+  set policy(policy) {
+    if (!TurnTimer.POLICIES.includes(policy)) {
+      throw new Error(`Unknown timeout policy "${policy}"`);
+    }
+    this.#policy = policy;
+  }
+
+  // ==========================================================================
+  // Countdown
+  // ==========================================================================
+
+  /**
+   * Check if a turn is being timed
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this.#deadline !== null;
+  }
+
+  /**
+   * Get the seconds left in the turn
+   * @returns {number|null} null when no turn is timed
+   */
+  get remaining() {
+    return this.#remaining;
+  }
+
+  /**
+   * Time the turns of the game
+   */
+  start() {
+    if (this.#started) return;
+    this.#started = true;
+
+    // Undo within a turn doesn't buy time: only a new turn restarts the clock
+    ['turnChange', 'restore', 'playersChange', 'readOnlyChange', 'gameOver'].forEach(type => {
+      this.#gameState.on(type, () => this.#update());
+    });
+    ['reset', 'load'].forEach(type => {
+      this.#gameState.on(type, () => {
+        this.#turnKey = null;
+        this.#update();
+      });
+    });
+    this.#update();
+  }
+
+  /**
+   * Stop timing the current turn
+   */
+  stop() {
+    clearInterval(this.#interval);
+    this.#interval = null;
+    this.#deadline = null;
+    if (this.#remaining !== null) {
+      this.#remaining = null;
+      this.#emit('stop', {});
+    }
+  }
+
+  /**
+   * Start the clock on a new turn of a human player, stop it when there's
+   * nothing to time (practice games take their time)
+   */
+  #update() {
+    const game = this.#gameState;
+    const timed = this.#seconds > 0 && !game.isReadOnly && !game.isGameOver && !game.isPractice &&
+      !game.activePlayer.ai;
+    if (!timed) {
+      this.#turnKey = null;
+      this.stop();
+      return;
+    }
+
+    const turnKey = `${game.turn}:${game.activePlayerIndex}`;
+    if (turnKey === this.#turnKey && this.isRunning) return;
+    this.#turnKey = turnKey;
+
+    this.stop();
+    this.#deadline = Date.now() + this.#seconds * 1000;
+    this.#interval = setInterval(() => this.#tick(), TICK_INTERVAL);
+    this.#tick();
+  }
+
+  /**
+   * Announce every second that goes by, and play for the player at zero
+   */
+  #tick() {
+    const remaining = Math.max(0, Math.ceil((this.#deadline - Date.now()) / 1000));
+    if (remaining === this.#remaining) return;
+
+    this.#remaining = remaining;
+    this.#emit('tick', {
+      remaining,
+      seconds: this.#seconds,
+      warning: remaining <= TurnTimer.WARNING_SECONDS
+    });
+
+    if (remaining === 0) {
+      this.#expire();
+    }
+  }
+
+  // ==========================================================================
+  // Running Out
+  // ==========================================================================
+
+  /**
+   * Get the dice ready to play and pick the move the policy asks for
+   * The expire event hands the move over to be saved like a click on its cell
+   */
+  #expire() {
+    this.stop();
+
+    let move = null;
+    try {
+      move = this.#prepareMove();
+    } catch (e) {
+      console.warn('Failed to play a timed out turn:', e);
+    }
+    this.#emit('expire', { policy: this.#policy, move });
+  }
+
+  /**
+   * Roll if the player hasn't, announce if the rules want it, and choose
+   * @returns {{column: string, row: string, score: number, scratch: boolean, rolled: boolean}|null}
+   *   rolled is true when the dice were rolled for the player
+   */
+  #prepareMove() {
+    const game = this.#gameState;
+
+    const rolled = game.rollCount === 0;
+    if (rolled) {
+      game.roll(this.#diceEngine.rollUnheld(game.diceValues, game.diceHeld));
+    }
+
+    if (game.sheet.needsAnnouncement(game.rollCount)) {
+      const cell = this.#announcer.chooseAnnouncement(game.sheet, game.diceValues, game.rollCount);
+      game.announce(cell.column, cell.row);
+    }
+
+    const moves = game.sheet.getLegalMoves(game.diceValues, game.rollCount);
+    const scratches = moves.filter(move => move.scratch);
+    const candidates = this.#policy === 'scratch' && scratches.length ? scratches : moves;
+
+    const best = candidates.reduce((acc, move) => {
+      const value = hintEngine.evaluateMove(game.sheet, move);
+      return !acc || value > acc.value ? { move, value } : acc;
+    }, null);
+
+    return best && { ...best.move, rolled };
+  }
+
+  // ==========================================================================
+  // Event Helpers
+  // ==========================================================================
+
+  /**
+   * Emit a custom event
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Subscribe to timer events
+   * @param {string} type - Event type (tick, stop, expire)
+   * @param {Function} callback - Event handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, callback) {
+    this.addEventListener(type, callback);
+    return () => this.removeEventListener(type, callback);
+  }
+}
+
+// Singleton instance for convenience
+export const turnTimer = new TurnTimer();
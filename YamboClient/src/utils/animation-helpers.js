@@ -72,9 +72,12 @@ export function stop(element, jumpToEnd = false) {
 
 /**
  * Roll a single die with animation (replaces $.fn.roll)
+ * The outcome is decided by the caller (DiceEngine); faces shown while
+ * juggling are purely cosmetic and the die always lands on options.value
  * @param {HTMLElement} dieElement - Die input element
  * @param {Object} options - Roll options
  * @param {number} options.colorOffset - Y offset for dice sprite (e.g., -300 for white)
+ * @param {number} [options.value] - Face (1-6) to land on, required unless juggling
  * @param {boolean} [options.keepJuggling=false] - Continue rolling indefinitely
  * @param {number} [options.duration=200] - Roll duration in ms
  * @param {Function} [onComplete] - Callback with final value
@@ -83,32 +86,33 @@ export function stop(element, jumpToEnd = false) {
 export function rollDie(dieElement, options, onComplete) {
   const {
     colorOffset = -300,
+    value,
     keepJuggling = false,
     duration = 200
   } = options;
 
-  let currentValue = 1;
+  const showFace = (face) => {
+    // Update sprite position (each die face is 60px wide)
+    const xOffset = (face - 1) * -60;
+    dieElement.style.backgroundPosition = `${xOffset}px ${colorOffset}px`;
+  };
 
   const tween = gsap.to(dieElement, {
     duration: duration / 1000,
     ease: 'none',
     onUpdate: () => {
-      // Generate random value each frame
-      currentValue = Math.floor(Math.random() * 6) + 1;
-
-      // Update sprite position (each die face is 60px wide)
-      const xOffset = (currentValue - 1) * -60;
-      dieElement.style.backgroundPosition = `${xOffset}px ${colorOffset}px`;
+      // Show a random face each frame
+      showFace(Math.floor(Math.random() * 6) + 1);
     },
     onComplete: () => {
       if (keepJuggling) {
         // Continue rolling
         rollDie(dieElement, options, onComplete);
       } else {
-        // Set final value
-        dieElement.value = currentValue;
-        dieElement.dataset.value = currentValue;
-        onComplete?.(currentValue);
+        // Land on the target face
+        showFace(value);
+        dieElement.dataset.value = value;
+        onComplete?.(value);
       }
     }
   });
@@ -117,15 +121,16 @@ export function rollDie(dieElement, options, onComplete) {
 }
 
 /**
- * Roll multiple dice
+ * Roll multiple dice towards the given faces
  * @param {HTMLElement[]} diceElements - Array of die elements
- * @param {Object} options - Roll options (same as rollDie)
+ * @param {number[]} values - Face to land on for each die
+ * @param {Object} options - Roll options (same as rollDie, without value)
  * @returns {Promise<number[]>} Final values of all dice
  */
-export function rollDice(diceElements, options) {
+export function rollDice(diceElements, values, options) {
   return Promise.all(
-    diceElements.map(die =>
-      new Promise(resolve => rollDie(die, options, resolve))
+    diceElements.map((die, i) =>
+      new Promise(resolve => rollDie(die, { ...options, value: values[i] }, resolve))
     )
   );
 }
@@ -252,6 +252,20 @@ export function text(element, content) {
   }
 }
 
+/**
+ * Escape text for use in HTML markup
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // ==========================================================================
 // Traversal
 // ==========================================================================
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AiPlayer } from '../src/services/ai-player.js';
+import { RulesEngine } from '../src/services/rules-engine.js';
+import { DiceEngine } from '../src/services/dice-engine.js';
+import { DEFAULT_RULESET, RULESETS } from '../src/services/ruleset.js';
+
+const najava = RULESETS.find(r => r.id === 'najava');
+
+test('opponents come in three difficulties', () => {
+  assert.equal(new AiPlayer({ difficulty: 'hard' }).name, 'Computer (Hard)');
+  assert.equal(new AiPlayer({ name: 'Deep Dice' }).difficulty, 'medium');
+  assert.throws(() => new AiPlayer({ difficulty: 'godlike' }), /Unknown AI difficulty "godlike"/);
+});
+
+for (const difficulty of AiPlayer.DIFFICULTIES) {
+  test(`a ${difficulty} turn saves one cell within the rolls of the turn`, () => {
+    const sheet = new RulesEngine(DEFAULT_RULESET);
+    const turn = new AiPlayer({ difficulty }).playTurn(sheet, new DiceEngine({ seed: 3 }));
+    const { column, row, score } = turn.move;
+
+    assert.ok(turn.rolls.length >= 1 && turn.rolls.length <= sheet.getColumn(column).maxTries);
+    assert.equal(sheet.getScore(column, row), score);
+    assert.ok(turn.rolls.slice(1).every((roll, i) =>
+      roll.held.every((held, d) => !held || roll.values[d] === turn.rolls[i].values[d])));
+  });
+}
+
+test('three of a kind is held, and there is nothing to hold after the last roll', () => {
+  const ai = new AiPlayer({ difficulty: 'medium' });
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+
+  assert.equal(ai.chooseHolds(sheet, [6, 6, 6, 1, 2], 3, 3), null);
+  assert.deepEqual(ai.chooseHolds(sheet, [6, 6, 6, 1, 2], 1, 3)?.slice(0, 3), [true, true, true]);
+});
+
+test('the computer announces a cell when the rules leave no other choice', () => {
+  const ai = new AiPlayer({ difficulty: 'easy' });
+  const sheet = new RulesEngine(najava);
+  najava.columns.filter(c => c.order !== 'announce').forEach(c => sheet.scratchColumn(c.id));
+
+  const turn = ai.playTurn(sheet, new DiceEngine({ seed: 5 }));
+  assert.ok(turn.announced);
+  assert.equal(turn.move.column, turn.announced.column);
+  assert.equal(turn.move.row, turn.announced.row);
+});
+
+test('an easy opponent fills a whole sheet, then has nothing left to play', () => {
+  const ai = new AiPlayer({ difficulty: 'easy' });
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const dice = new DiceEngine({ seed: 11 });
+  const cells = DEFAULT_RULESET.columns.length * DEFAULT_RULESET.rows.length;
+
+  for (let i = 0; i < cells; i++) assert.ok(ai.playTurn(sheet, dice));
+  assert.ok(sheet.isComplete());
+  assert.equal(ai.playTurn(sheet, dice), null);
+});
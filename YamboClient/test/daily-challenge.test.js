@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DailyChallenge } from '../src/services/daily-challenge.js';
+import { GameState } from '../src/services/game-state.js';
+import { DiceEngine } from '../src/services/dice-engine.js';
+
+// Results live in localStorage, which Node does not have
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+beforeEach(() => store.clear());
+
+const result = (name, score, finishedAt, date = '2026-10-19') => ({ date, name, score, finishedAt });
+
+test('a challenge seed is its date', () => {
+  const date = DailyChallenge.getDate(new Date(2026, 0, 5));
+
+  assert.equal(date, '2026-01-05');
+  assert.equal(DailyChallenge.getDateFromSeed(DailyChallenge.getSeed(date)), date);
+  assert.equal(DailyChallenge.getDateFromSeed(12345), null);
+});
+
+test('the leaderboard ranks the best score first, the earlier finish on a tie', () => {
+  store.set('yambo-daily', JSON.stringify([
+    result('Ana', 500, '2026-10-19T10:00:00Z'),
+    result('Bo', 600, '2026-10-19T11:00:00Z'),
+    result('Cy', 600, '2026-10-19T09:00:00Z'),
+    result('Di', 900, '2026-10-18T09:00:00Z', '2026-10-18')
+  ]));
+  const daily = new DailyChallenge(new GameState(), new DiceEngine());
+
+  assert.deepEqual(daily.getLeaderboard('2026-10-19').map(r => r.name), ['Cy', 'Bo', 'Ana']);
+  assert.deepEqual(daily.getHistory().map(day => [day.date, day.games, day.best.name]), [
+    ['2026-10-19', 3, 'Bo'],
+    ['2026-10-18', 1, 'Di']
+  ]);
+});
+
+test('stored results of the wrong shape are left out', () => {
+  store.set('yambo-daily', JSON.stringify([
+    null,
+    { date: '2026-10-19', name: 'Ana', score: 500 },
+    result('Bo', '600', '2026-10-19T11:00:00Z'),
+    result('Cy', 400, '2026-10-19T09:00:00Z')
+  ]));
+  const daily = new DailyChallenge(new GameState(), new DiceEngine());
+
+  assert.deepEqual(daily.getLeaderboard('2026-10-19').map(r => r.name), ['Cy']);
+  assert.equal(daily.getHistory().length, 1);
+});
+
+test('everyone gets the same dice for the same roll, whatever they hold', async () => {
+  const firstRolls = async (held) => {
+    const game = new GameState();
+    const dice = new DiceEngine();
+    const daily = new DailyChallenge(game, dice);
+    daily.start();
+    daily.play('Ana');
+    await Promise.resolve();
+
+    game.roll(dice.rollUnheld(game.diceValues, game.diceValues.map(() => false)));
+    await Promise.resolve();
+    const first = game.diceValues;
+    game.roll(dice.rollUnheld(first, held));
+    return game.diceValues.map((value, i) => held[i] ? null : value);
+  };
+
+  const none = await firstRolls([false, false, false, false, false]);
+  const some = await firstRolls([true, false, true, false, false]);
+  assert.deepEqual(some, none.map((value, i) => i === 0 || i === 2 ? null : value));
+});
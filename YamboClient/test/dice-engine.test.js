@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DiceEngine } from '../src/services/dice-engine.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+test('the outcomes of a roll add up to certainty', () => {
+  const dice = new DiceEngine();
+  const outcomes = dice.getOutcomes(5);
+
+  assert.equal(outcomes.length, 252);
+  close(outcomes.reduce((acc, outcome) => acc + outcome.probability, 0), 1);
+});
+
+test('chances of a single roll are counted exactly', () => {
+  const dice = new DiceEngine();
+
+  close(dice.getProbability('yambo', [], 1), 6 / 7776);
+  close(dice.getProbability('straight', [], 1), 240 / 7776);
+  close(dice.getProbability('yambo', [6, 6, 6, 6], 1), 1 / 6);
+  assert.equal(dice.getProbability('yambo', [6, 6, 6, 6, 5], 0), 0);
+  assert.equal(dice.getProbability('yambo', [6, 6, 6, 6, 6], 0), 1);
+});
+
+test('a Yambo in three rolls, keeping the best dice, comes up 4.6% of the time', () => {
+  const dice = new DiceEngine();
+
+  close(dice.getProbability('yambo', [], 3), 0.0460286425);
+  assert.ok(dice.getProbability({ kind: 5 }, [], 3) === dice.getProbability('yambo', [], 3));
+});
+
+test('more rolls never lower a chance', () => {
+  const dice = new DiceEngine();
+  const one = dice.getProbabilities([], 1);
+  const three = dice.getProbabilities([], 3);
+
+  DiceEngine.TARGETS.forEach(target => assert.ok(three[target] >= one[target], target));
+  assert.ok(three.threeOfAKind > three.fourOfAKind && three.fourOfAKind > three.yambo);
+});
+
+test('ten dice keep their chances apart', () => {
+  const dice = new DiceEngine({ dice: { count: 10, faces: 2 } });
+
+  close(dice.getProbability({ face: 2, count: 10 }, [], 1), 1 / 1024);
+  close(dice.getProbability({ face: 1, count: 10 }, [1, 1, 1, 1, 1, 1, 1, 1, 1], 1), 1 / 2);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileFormula, evaluateFormula } from '../src/services/formula.js';
+import { DiceEngine } from '../src/services/dice-engine.js';
+import { SCORING_PRESETS } from '../src/services/ruleset.js';
+
+test('formulas follow the usual precedence', () => {
+  assert.equal(evaluateFormula('2 + 3 * 4', {}), 14);
+  assert.equal(evaluateFormula('(2 + 3) * 4', {}), 20);
+  assert.equal(evaluateFormula('20 - 6 / 2 - 1', {}), 16);
+  assert.equal(evaluateFormula('-(2 - 10)', {}), 8);
+});
+
+test('formulas read the dice variables', () => {
+  const vars = { sum: 17, count: 3, face: 5, large: 1 };
+
+  assert.equal(evaluateFormula('sum + 30', vars), 47);
+  assert.equal(evaluateFormula('35 + 10 * large', vars), 45);
+  assert.equal(evaluateFormula('count * face', vars), 15);
+});
+
+test('scores are whole and never negative', () => {
+  assert.equal(evaluateFormula('7 / 2', {}), 4);
+  assert.equal(evaluateFormula('10 - sum', { sum: 20 }), 0);
+  assert.equal(evaluateFormula('sum / 0', { sum: 0 }), 0);
+});
+
+test('anything outside the language is rejected', () => {
+  assert.throws(() => compileFormula(''), /expected a non-empty string/);
+  assert.throws(() => compileFormula('sum + dice'), /^Error: Invalid formula "sum \+ dice": unknown variable "dice"/);
+  assert.throws(() => compileFormula('sum; alert(1)'), /unexpected ";"/);
+  assert.throws(() => compileFormula('(sum + 1'), /missing "\)"/);
+  assert.throws(() => compileFormula('sum +'), /unexpected end/);
+  assert.throws(() => compileFormula('sum 3'), /unexpected "3"/);
+  assert.throws(() => compileFormula('face', ['sum']), /use sum/);
+});
+
+test('rows score their formula only when the dice make the combination', () => {
+  const dice = new DiceEngine();
+  const row = { scoring: 'straight', formula: SCORING_PRESETS.find(p => p.id === 'sumBonus').formulas.straight };
+
+  assert.equal(dice.scoreRow(row, [2, 3, 4, 5, 6]), 45);
+  assert.equal(dice.scoreRow(row, [1, 2, 3, 4, 5]), 35);
+  assert.equal(dice.scoreRow(row, [1, 2, 3, 4, 6]), 0);
+  assert.equal(dice.scoreRow({ scoring: 'upper', face: 4, formula: 'count * face * 2' }, [4, 4, 1, 2, 3]), 16);
+});
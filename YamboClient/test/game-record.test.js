@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState } from '../src/services/game-state.js';
+import { DiceEngine } from '../src/services/dice-engine.js';
+import { RULESETS } from '../src/services/ruleset.js';
+import { createRecord, parseRecord } from '../src/services/game-record.js';
+
+/**
+ * Play a whole game of a human, who saves the first legal move, against the computer
+ * @param {Object} ruleset
+ * @returns {GameState}
+ */
+function playGame(ruleset) {
+  const game = new GameState();
+  const dice = new DiceEngine({ seed: 42, dice: ruleset.dice });
+  game.ruleset = ruleset;
+  game.setPlayers([{ name: 'Ana' }, { difficulty: 'easy' }]);
+
+  while (!game.isGameOver) {
+    if (!game.playAiTurn(dice)) {
+      game.roll(dice.rollUnheld(game.diceValues, game.diceHeld));
+      if (game.sheet.needsAnnouncement(game.rollCount)) {
+        const [cell] = game.sheet.getAnnounceableCells(game.rollCount);
+        game.announce(cell.column, cell.row);
+      }
+      const [move] = game.sheet.getLegalMoves(game.diceValues, game.rollCount);
+      game.setScore(move.column, move.row, move.score);
+    }
+    game.nextTurn();
+  }
+  return game;
+}
+
+for (const ruleset of RULESETS) {
+  test(`a ${ruleset.name} game replays from its record`, () => {
+    const game = playGame(ruleset);
+    const record = parseRecord(JSON.stringify(createRecord(game)));
+
+    assert.deepEqual(GameState.fromRecord(record).toJSON(), game.toJSON());
+  });
+}
+
+test('records that do not match the format are rejected', () => {
+  const record = createRecord(playGame(RULESETS[0]));
+
+  assert.throws(() => parseRecord('{'), /not valid JSON/);
+  assert.throws(() => parseRecord({ ...record, version: 2 }), /unsupported version 2/);
+  assert.throws(() => parseRecord({ ...record, players: [null] }), /^Error: Invalid game record: player 1 needs a "name"/);
+  assert.throws(() => parseRecord({ ...record, moves: [{ type: 'cheat', player: 0 }] }), /unknown type "cheat"/);
+  assert.throws(() => parseRecord({ ...record, moves: [{ type: 'setRoll', player: 0, values: [6, 6, 6, 6, 6] }] }), /outside a practice game/);
+});
+
+test('replaying a record names the move that is not allowed', () => {
+  const record = parseRecord(createRecord(playGame(RULESETS[0])));
+  const place = record.moves.findIndex(move => move.type === 'place' && move.score > 0);
+  record.moves[place] = { ...record.moves[place], score: record.moves[place].score + 1 };
+
+  assert.throws(() => GameState.fromRecord(record), new RegExp(`^Error: Move ${place + 1} \\(place\\)`));
+});
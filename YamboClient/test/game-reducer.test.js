@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { reduce, replayActions, serializeState } from '../src/services/game-reducer.js';
+import { DEFAULT_RULESET } from '../src/services/ruleset.js';
+
+const newGame = (options = {}) => reduce(null, {
+  type: 'newGame',
+  seed: 1,
+  ruleset: DEFAULT_RULESET,
+  players: [{ name: 'Ana' }, { name: 'Bo' }],
+  ...options
+});
+
+const roll = (values, held = values.map(() => false)) => ({ type: 'roll', player: 0, values, held });
+
+test('a game starts with newGame or load', () => {
+  assert.throws(() => reduce(null, roll([1, 2, 3, 4, 5])), /starts with "newGame"/);
+  assert.throws(() => newGame({ players: [{ difficulty: 'easy' }] }), /at least one human player/);
+});
+
+test('a roll, a save and the end of the turn pass the dice on', () => {
+  let state = newGame();
+  state = reduce(state, roll([6, 6, 6, 2, 1]));
+  state = reduce(state, { type: 'place', player: 0, column: 'w', row: 'sixes', score: 18 });
+  state = reduce(state, { type: 'endTurn' });
+
+  assert.equal(state.activePlayer, 1);
+  assert.equal(state.rollCount, 0);
+  assert.equal(state.players[0].sheet.getScore('w', 'sixes'), 18);
+  assert.equal(state.moves.length, 2);
+});
+
+test('rejected actions leave the state as it was', () => {
+  const state = reduce(newGame(), roll([6, 6, 6, 2, 1]));
+  const before = JSON.stringify(serializeState(state));
+
+  assert.throws(() => reduce(state, { type: 'place', player: 0, column: 'w', row: 'sixes', score: 24 }), /the dice give 18/);
+  assert.equal(JSON.stringify(serializeState(state)), before);
+});
+
+test('rolls must be a full set of dice of the ruleset', () => {
+  const state = newGame();
+
+  assert.throws(() => reduce(state, roll([1, 2, 3, 4])), /Dice must be 5 values between 1 and 6/);
+  assert.throws(() => reduce(state, roll([1, 2, 3, 4, 7])), /Dice must be 5 values/);
+  assert.throws(() => reduce(state, roll([1, 2, 3, 4, 5], [false])), /needs 5 held flags/);
+});
+
+test('held dice keep their values', () => {
+  const state = reduce(newGame(), roll([6, 6, 6, 2, 1]));
+
+  assert.throws(() => reduce(state, roll([5, 6, 6, 3, 4], [true, true, true, false, false])), /held die changed/);
+  assert.equal(reduce(state, roll([6, 6, 6, 3, 4], [true, true, true, false, false])).rollCount, 2);
+});
+
+test('only the active player moves', () => {
+  assert.throws(() => reduce(newGame(), { ...roll([1, 2, 3, 4, 5]), player: 1 }), /It is Ana's turn, not Bo's/);
+});
+
+test('a turn ends after exactly one saved cell', () => {
+  let state = reduce(newGame(), roll([6, 6, 6, 2, 1]));
+  assert.throws(() => reduce(state, { type: 'endTurn' }), /Save or scratch a cell/);
+
+  state = reduce(state, { type: 'place', player: 0, column: 'w', row: 'sixes', score: 18 });
+  assert.throws(() => reduce(state, { type: 'place', player: 0, column: 'w', row: 'ones', score: 1 }), /already saved this turn/);
+  assert.throws(() => reduce(state, roll([6, 6, 6, 2, 1])), /turn is over/);
+});
+
+test('no more rolls than the turn allows', () => {
+  let state = newGame();
+  for (let i = 0; i < 3; i++) state = reduce(state, roll([1, 2, 3, 4, 5]));
+
+  assert.throws(() => reduce(state, roll([1, 2, 3, 4, 5])), /No rolls left/);
+});
+
+test('dice are only set by hand in practice games', () => {
+  const setRoll = { type: 'setRoll', player: 0, values: [5, 5, 5, 5, 5] };
+  assert.throws(() => reduce(newGame(), setRoll), /only be set in practice games/);
+
+  const state = reduce(newGame({ practice: true }), setRoll);
+  assert.deepEqual(state.diceValues, [5, 5, 5, 5, 5]);
+  assert.equal(state.rollCount, 1);
+
+  const placed = reduce(state, { type: 'place', player: 0, column: 'w', row: 'fives', score: 25 });
+  assert.throws(() => reduce(placed, setRoll), /turn is over/);
+});
+
+test('a column is scratched before the first roll of the turn', () => {
+  const state = newGame();
+  assert.throws(() => reduce(reduce(state, roll([1, 2, 3, 4, 5])), { type: 'scratchColumn', player: 0, column: 'one' }), /before rolling/);
+
+  const next = reduce(state, { type: 'scratchColumn', player: 0, column: 'one' });
+  assert.ok(next.players[0].sheet.isColumnScratched('one'));
+  assert.ok(!state.players[0].sheet.isColumnScratched('one'));
+});
+
+test('replayActions names the action it could not apply', () => {
+  const actions = [
+    { type: 'newGame', seed: 1, ruleset: DEFAULT_RULESET, players: [{ name: 'Ana' }] },
+    roll([6, 6, 6, 2, 1]),
+    { type: 'place', player: 0, column: 'w', row: 'sixes', score: 30 }
+  ];
+
+  assert.throws(() => replayActions(actions), /^Error: Action 3 \(place\): Scored 30 in/);
+  assert.equal(replayActions(actions.slice(0, 2)).rollCount, 1);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState } from '../src/services/game-state.js';
+import { DEFAULT_RULESET, parseRuleset } from '../src/services/ruleset.js';
+
+test('an edited ruleset is applied even when it keeps its id', () => {
+  const game = new GameState();
+  const changes = [];
+  game.on('rulesetChange', (e) => changes.push(e.detail.ruleset));
+
+  const edited = parseRuleset({ ...DEFAULT_RULESET, columns: DEFAULT_RULESET.columns.slice(0, 3) });
+  game.ruleset = edited;
+  game.ruleset = edited;
+
+  assert.equal(changes.length, 1);
+  assert.equal(game.ruleset.columns.length, 3);
+});
+
+test('a loaded game brings its own ruleset', () => {
+  const game = new GameState();
+  game.ruleset = parseRuleset({ ...DEFAULT_RULESET, dice: { count: 6, faces: 6 } });
+  const saved = game.toJSON();
+
+  const other = new GameState();
+  const changes = [];
+  other.on('rulesetChange', (e) => changes.push(e.detail.ruleset));
+  other.load(saved);
+
+  assert.equal(changes.length, 1);
+  assert.equal(other.ruleset.dice.count, 6);
+});
+
+/**
+ * Start a two player game and save a roll for the first player
+ * @param {string} undoPolicy
+ * @returns {GameState}
+ */
+function saveFirstTurn(undoPolicy) {
+  const game = new GameState();
+  game.setPlayers([{ name: 'Ana' }, { name: 'Bo' }]);
+  game.undoPolicy = undoPolicy;
+  game.roll([6, 6, 6, 2, 1]);
+  game.setScore('w', 'sixes', 18);
+  game.nextTurn();
+  return game;
+}
+
+test('a save can be taken back until the next player rolls', () => {
+  for (const policy of ['roll', 'turn']) {
+    const game = saveFirstTurn(policy);
+    assert.ok(game.canUndo, policy);
+    assert.ok(game.undo());
+    assert.equal(game.activePlayerIndex, 0);
+    assert.equal(game.players[0].sheet.getScore('w', 'sixes'), null);
+
+    game.setScore('w', 'ones', 1);
+    game.nextTurn();
+    game.roll([1, 2, 3, 4, 5]);
+    assert.ok(!game.canUndo, policy);
+  }
+});
+
+test('the "turn" policy keeps the next player from undoing into the last turn', () => {
+  const roll = saveFirstTurn('roll');
+  roll.setHold(0, true);
+  roll.undo();
+  assert.ok(roll.canUndo);
+
+  const turn = saveFirstTurn('turn');
+  turn.setHold(0, true);
+  turn.undo();
+  assert.ok(!turn.canUndo);
+  assert.equal(turn.players[0].sheet.getScore('w', 'sixes'), 18);
+});
+
+test('the "off" policy keeps every save', () => {
+  assert.ok(!saveFirstTurn('off').canUndo);
+});
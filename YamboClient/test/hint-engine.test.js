@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hintEngine } from '../src/services/hint-engine.js';
+import { RulesEngine } from '../src/services/rules-engine.js';
+import { DEFAULT_RULESET } from '../src/services/ruleset.js';
+
+const move = (sheet, values, column, row, scratch = false) =>
+  sheet.getLegalMoves(values, 1).find(m => m.column === column && m.row === row && m.scratch === scratch);
+
+test('three of a kind is held for the next roll', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const hint = hintEngine.recommendHolds(sheet, [6, 6, 6, 1, 2], 1, 3);
+
+  assert.deepEqual(hint.held, [true, true, true, false, false]);
+  assert.ok(!hint.placeNow);
+});
+
+test('a Yambo is saved right away', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const hint = hintEngine.recommendHolds(sheet, [6, 6, 6, 6, 6], 1, 3);
+
+  assert.ok(hint.placeNow);
+  assert.equal(hint.bestMove.row, 'yambo');
+});
+
+test('with no rolls left the dice are saved as they are', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const hint = hintEngine.recommendHolds(sheet, [6, 6, 6, 1, 2], 3, 3);
+
+  assert.ok(hint.placeNow);
+  assert.ok(hint.bestMove);
+});
+
+test('moves are valued against the usual score of their cell', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const values = [6, 6, 6, 1, 2];
+
+  const sixes = hintEngine.evaluateMove(sheet, move(sheet, values, 'w', 'sixes'));
+  const ones = hintEngine.evaluateMove(sheet, move(sheet, values, 'w', 'ones'));
+  const scratchSixes = hintEngine.evaluateMove(sheet, move(sheet, values, 'w', 'sixes', true));
+
+  assert.ok(sixes > ones);
+  assert.ok(scratchSixes < ones);
+});
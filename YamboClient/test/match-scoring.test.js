@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scoreMatch } from '../src/services/match-scoring.js';
+import { RulesEngine } from '../src/services/rules-engine.js';
+import { DEFAULT_RULESET } from '../src/services/ruleset.js';
+
+const sheets = (count) => Array.from({ length: count }, () => new RulesEngine(DEFAULT_RULESET));
+
+test('the best Total of a column wins its points', () => {
+  const [ana, bo] = sheets(2);
+  ana.place('w', 'sixes', 18);
+  bo.place('w', 'sixes', 12);
+  const match = scoreMatch([ana, bo]);
+
+  assert.deepEqual(match.columns.find(c => c.column === 'w').winners, [0]);
+  // The other columns are level at 0, so their 13 points are shared
+  assert.deepEqual(match.points, [2 + 13 / 2, 13 / 2]);
+  assert.deepEqual(match.winners, [0]);
+});
+
+test('players tied on a column share its points', () => {
+  const [ana, bo, cy] = sheets(3);
+  ana.place('up', 'yambo', 30);
+  bo.place('up', 'yambo', 30);
+  const up = scoreMatch([ana, bo, cy]).columns.find(c => c.column === 'up');
+
+  assert.deepEqual(up.winners, [0, 1]);
+  assert.deepEqual(scoreMatch([ana, bo, cy]).winners, [0, 1]);
+});
+
+test('a scratched column can\'t be won by whoever scratched it', () => {
+  const [ana, bo] = sheets(2);
+  bo.scratchColumn('one');
+
+  assert.deepEqual(scoreMatch([ana, bo]).columns.find(c => c.column === 'one').winners, [0]);
+});
+
+test('a tie on points goes to the best grand total, else everyone tied wins', () => {
+  const [ana, bo] = sheets(2);
+  ana.place('dn', 'ones', 1);
+  bo.place('one', 'sixes', 30);
+  const match = scoreMatch([ana, bo]);
+
+  // Each wins a column worth 3 and they share the other 9 points
+  assert.deepEqual(match.points, [7.5, 7.5]);
+  assert.deepEqual(match.totals, [1, 30]);
+  assert.deepEqual(match.winners, [1]);
+
+  assert.deepEqual(scoreMatch(sheets(2)).winners, [0, 1]);
+});
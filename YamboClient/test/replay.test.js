@@ -0,0 +1,92 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Replay } from '../src/services/replay.js';
+import { GameState } from '../src/services/game-state.js';
+import { createRecord, parseRecord } from '../src/services/game-record.js';
+
+afterEach(() => mock.timers.reset());
+
+/**
+ * Record two turns: a roll and a save each
+ * @returns {{game: GameState, record: Object}}
+ */
+function recordGame() {
+  const game = new GameState();
+  game.reset(1);
+  game.roll([6, 6, 6, 2, 1]);
+  game.setScore('w', 'sixes', 18);
+  game.nextTurn();
+  game.roll([5, 5, 1, 2, 3]);
+  game.setScore('w', 'fives', 10);
+  game.nextTurn();
+  return { game, record: parseRecord(createRecord(game)) };
+}
+
+test('every position is the game after that many moves', () => {
+  const { game, record } = recordGame();
+  const replay = new Replay(record);
+
+  assert.equal(replay.length, 4);
+  assert.equal(replay.move, null);
+  assert.doesNotThrow(() => new GameState().load(replay.state));
+
+  replay.seek(2);
+  assert.equal(replay.move.type, 'place');
+  assert.equal(replay.state.players[0].sheet.scores.w.sixes, 18);
+  assert.equal(replay.state.players[0].sheet.scores.w.fives, undefined);
+
+  replay.seek(99);
+  assert.ok(replay.isAtEnd);
+  assert.deepEqual(replay.state, game.toJSON());
+});
+
+test('a step forward is a step, anything else a jump', () => {
+  const replay = new Replay(recordGame().record);
+  const steps = [];
+  replay.on('step', (e) => steps.push([e.detail.position, e.detail.stepped]));
+
+  replay.next();
+  replay.seek(3);
+  replay.previous();
+  replay.previous();
+  replay.seek(-5);
+  replay.seek(0);
+
+  assert.deepEqual(steps, [[1, true], [3, false], [2, false], [1, false], [0, false]]);
+});
+
+test('playback steps through the moves at its speed and stops at the end', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const replay = new Replay(recordGame().record);
+  const playing = [];
+  replay.on('playChange', (e) => playing.push(e.detail.playing));
+
+  replay.speed = 2;
+  replay.play();
+  mock.timers.tick(500);
+  assert.equal(replay.position, 1);
+
+  replay.speed = 4;
+  mock.timers.tick(250);
+  assert.equal(replay.position, 2);
+
+  mock.timers.tick(250);
+  mock.timers.tick(250);
+  assert.ok(replay.isAtEnd);
+  assert.ok(!replay.isPlaying);
+  assert.deepEqual(playing, [true, false]);
+
+  replay.play();
+  assert.equal(replay.position, 0);
+  replay.toggle();
+  assert.ok(!replay.isPlaying);
+  assert.throws(() => { replay.speed = 3; }, /Unknown replay speed 3/);
+});
+
+test('a record with a move the rules don\'t allow can\'t be replayed', () => {
+  const { record } = recordGame();
+  record.moves[1] = { ...record.moves[1], score: 24 };
+
+  assert.throws(() => new Replay(record), /^Error: Move 2 \(place\)/);
+});
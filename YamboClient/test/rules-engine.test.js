@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RulesEngine } from '../src/services/rules-engine.js';
+import { DEFAULT_RULESET, RULESETS, parseRuleset } from '../src/services/ruleset.js';
+
+const maxMin = RULESETS.find(r => r.id === 'maxMin');
+
+test('the down column opens at the top, the up column at the bottom', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  assert.deepEqual(sheet.getNextCells('dn'), ['ones']);
+  assert.deepEqual(sheet.getNextCells('up'), ['yambo']);
+
+  sheet.place('dn', 'ones', 3);
+  assert.deepEqual(sheet.getNextCells('dn'), ['twos']);
+  assert.equal(sheet.checkPlacement('dn', 'threes', [3, 3, 3, 1, 2], 1).legal, false);
+});
+
+test('columns only take a score within their tries', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const columns = (rollCount) => new Set(sheet.getLegalMoves([6, 6, 6, 6, 6], rollCount).map(m => m.column));
+
+  assert.ok(columns(1).has('one'));
+  assert.ok(!columns(2).has('one'));
+  assert.ok(columns(2).has('two'));
+  assert.deepEqual([...columns(3)].sort(), ['dn', 'up', 'w']);
+  assert.match(sheet.getBlockReason('w', 'ones', 0), /Roll the dice first/);
+});
+
+test('Chance - has to stay below Chance + in a column', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  sheet.place('w', 'chancePlus', 20);
+
+  assert.equal(sheet.checkPlacement('w', 'chanceMinus', [6, 6, 6, 6, 6], 1).legal, false);
+  assert.deepEqual(sheet.checkPlacement('w', 'chanceMinus', [1, 2, 3, 4, 5], 1), { legal: true, reason: null, score: 15 });
+});
+
+test('combinations score their fixed score, or nothing', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  const scores = sheet.calculateScores([2, 2, 3, 3, 3]);
+
+  assert.equal(scores.fullHouse, 20);
+  assert.equal(scores.straight, 0);
+  assert.equal(scores.threes, 9);
+  assert.equal(sheet.calculateScores([2, 3, 4, 5, 6]).straight, 30);
+});
+
+test('the upper bonus is earned at its threshold', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  [['ones', 3], ['twos', 6], ['threes', 9], ['fours', 12], ['fives', 15], ['sixes', 18]]
+    .forEach(([row, score]) => sheet.place('w', row, score));
+
+  assert.equal(sheet.getTotals('w').upper, 63);
+  assert.equal(sheet.getTotals('w').bonus, 30);
+  assert.equal(sheet.getColumnTotal('w'), 93);
+});
+
+test('Max − Min counts (max − min) × ones once all three are filled', () => {
+  const sheet = new RulesEngine(maxMin);
+  sheet.place('w', 'chancePlus', 28);
+  sheet.place('w', 'chanceMinus', 9);
+  assert.equal(sheet.getDifference('w'), null);
+
+  sheet.place('w', 'ones', 3);
+  assert.equal(sheet.getDifference('w'), 57);
+  assert.equal(sheet.getTotals('w').lower, 57);
+});
+
+test('a scratched Max or Min loses the difference', () => {
+  const sheet = new RulesEngine(maxMin);
+  sheet.place('w', 'chancePlus', 28);
+  sheet.place('w', 'chanceMinus', 0);
+  sheet.place('w', 'ones', 3);
+
+  assert.equal(sheet.getDifference('w'), 0);
+});
+
+test('scratching a column crosses out its open cells, before the first roll only', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  sheet.place('one', 'sixes', 30);
+
+  assert.match(sheet.getColumnScratchBlockReason('one', 1), /before rolling/);
+  assert.deepEqual(sheet.scratchColumn('one'), sheet.rows.map(r => r.id).filter(id => id !== 'sixes'));
+  assert.equal(sheet.getScore('one', 'sixes'), 30);
+  assert.equal(sheet.getScore('one', 'ones'), 0);
+  assert.ok(sheet.isColumnScratched('one'));
+  assert.match(sheet.getColumnScratchBlockReason('one', 0), /already scratched/);
+});
+
+test('the last column with open cells cannot be scratched', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  ['dn', 'up', 'one', 'two'].forEach(col => sheet.scratchColumn(col));
+
+  assert.match(sheet.getColumnScratchBlockReason('w', 0), /last one left/);
+  assert.equal(sheet.getMaxRolls(), 3);
+});
+
+test('the roll budget follows the columns with open cells', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  assert.equal(sheet.getMaxRolls(), 3);
+
+  ['dn', 'w', 'up'].forEach(col => sheet.scratchColumn(col));
+  assert.equal(sheet.getMaxRolls(), 2);
+});
+
+test('a sheet survives toJSON() and back', () => {
+  const sheet = new RulesEngine(DEFAULT_RULESET);
+  sheet.place('w', 'fives', 20);
+  sheet.scratchColumn('one');
+
+  const copy = new RulesEngine(DEFAULT_RULESET, JSON.parse(JSON.stringify(sheet.toJSON())));
+  assert.deepEqual(copy.toJSON(), sheet.toJSON());
+  assert.equal(copy.getGrandTotal(), sheet.getGrandTotal());
+});
+
+test('the middle column opens at Sixes and Full House and fills outward', () => {
+  const sheet = new RulesEngine(RULESETS.find(r => r.id === 'middle'));
+  assert.deepEqual(sheet.getNextCells('mid'), ['sixes', 'fullHouse']);
+
+  sheet.place('mid', 'sixes', 18);
+  assert.deepEqual(sheet.getNextCells('mid'), ['fives', 'fullHouse']);
+  assert.equal(sheet.checkPlacement('mid', 'ones', [1, 1, 1, 2, 3], 1).legal, false);
+
+  ['fives', 'fours', 'threes', 'twos', 'ones'].forEach(row => sheet.place('mid', row, 0));
+  assert.deepEqual(sheet.getNextCells('mid'), ['fullHouse']);
+  ['fullHouse', 'straight', 'chancePlus', 'chanceMinus'].forEach(row => sheet.place('mid', row, 0));
+  assert.deepEqual(sheet.getNextCells('mid'), ['yambo']);
+});
+
+test('bonus tiers are sorted, and the highest one reached sets the bonus', () => {
+  const ruleset = parseRuleset({
+    ...DEFAULT_RULESET,
+    bonus: { tiers: [{ threshold: 70, value: 50 }, { threshold: 60, value: 30 }, { threshold: 80, value: 0 }] },
+    columns: DEFAULT_RULESET.columns.map(col => col.id === 'one' ? { ...col, bonus: { threshold: 50, value: 10 } } : col)
+  });
+  const sheet = new RulesEngine(ruleset);
+
+  assert.deepEqual(sheet.getBonusTiers('w'), [{ threshold: 60, value: 30 }, { threshold: 70, value: 50 }]);
+  assert.deepEqual([59, 60, 69, 70, 100].map(upper => sheet.getBonus('w', upper)), [0, 30, 30, 50, 50]);
+  assert.equal(sheet.getBonus('one', 55), 10);
+});
+
+test('bonus progress tells how far the next tier is, and whether it can still be reached', () => {
+  const ruleset = parseRuleset({ ...DEFAULT_RULESET, bonus: { tiers: [{ threshold: 60, value: 30 }, { threshold: 70, value: 50 }] } });
+  const sheet = new RulesEngine(ruleset);
+  [['sixes', 24], ['fives', 20], ['fours', 16]].forEach(([row, score]) => sheet.place('w', row, score));
+
+  assert.deepEqual(sheet.getBonusProgress('w'), {
+    upper: 60, bonus: 30, next: { threshold: 70, value: 50 }, needed: 10, maxUpper: 90, reachable: true
+  });
+
+  ['threes', 'twos', 'ones'].forEach(row => sheet.place('w', row, 0));
+  const progress = sheet.getBonusProgress('w');
+  assert.equal(progress.reachable, false);
+  assert.equal(sheet.getTotals('w').bonus, 30);
+});
+
+test('the difference previews a score, and never goes below 0', () => {
+  const sheet = new RulesEngine(maxMin);
+  sheet.place('w', 'chancePlus', 25);
+  sheet.place('w', 'ones', 2);
+
+  assert.equal(sheet.getDifference('w', { chanceMinus: 10 }), 30);
+  assert.equal(sheet.getDifference('w', { chanceMinus: 28 }), 0);
+  assert.equal(sheet.getDifference('dn'), null);
+  assert.equal(new RulesEngine(DEFAULT_RULESET).getDifference('w'), null);
+});
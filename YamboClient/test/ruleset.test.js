@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_RULESET, RULESETS, applyScoringPreset, isSameRuleset, parseRuleset } from '../src/services/ruleset.js';
+
+const withColumn = (column) => ({ ...DEFAULT_RULESET, columns: [...DEFAULT_RULESET.columns, column] });
+const withRow = (row) => ({ ...DEFAULT_RULESET, rows: [...DEFAULT_RULESET.rows, row] });
+
+test('the built-in rulesets parse to themselves', () => {
+  RULESETS.forEach(ruleset => assert.deepEqual(parseRuleset(JSON.stringify(ruleset)), ruleset));
+});
+
+test('ids are letters, digits, "_" and "-" only', () => {
+  assert.throws(() => parseRuleset({ ...DEFAULT_RULESET, id: '<b>' }), /^Error: Invalid ruleset: "id"/);
+  assert.throws(() => parseRuleset(withColumn({ id: 'a b', order: 'down', maxTries: 3 })), /column 5 needs an "id"/);
+  assert.equal(applyScoringPreset(DEFAULT_RULESET, 'fixed').id, 'classic+fixed');
+});
+
+test('missing columns and rows are invalid, not a crash', () => {
+  assert.throws(() => parseRuleset(withColumn(null)), /^Error: Invalid ruleset: column 5 needs an "id"/);
+  assert.throws(() => parseRuleset(withRow(null)), /^Error: Invalid ruleset: row 11 needs an "id"/);
+  assert.throws(() => parseRuleset({ ...DEFAULT_RULESET, constraints: [null] }), /^Error: Invalid ruleset: constraint 0/);
+});
+
+test('points and fixed scores are whole numbers, labels are strings', () => {
+  assert.throws(() => parseRuleset(withColumn({ id: 'x', order: 'down', maxTries: 3, points: '5' })), /"points" must be a whole number/);
+  assert.throws(() => parseRuleset(withColumn({ id: 'x', order: 'down', maxTries: 3, points: -1 })), /"points" must be a whole number/);
+  assert.throws(() => parseRuleset(withRow({ id: 'x', section: 'lower', scoring: 'sum', fixedScore: 2.5 })), /"fixedScore" must be a whole number/);
+  assert.throws(() => parseRuleset(withRow({ id: 'x', section: 'lower', scoring: 'sum', label: 7 })), /"label" must be a string/);
+  assert.throws(() => parseRuleset({ ...DEFAULT_RULESET, name: {} }), /"name" must be a string/);
+});
+
+test('rulesets are the same when they play the same, whatever their id says', () => {
+  const copy = parseRuleset(JSON.parse(JSON.stringify(DEFAULT_RULESET)));
+  const edited = parseRuleset({ ...DEFAULT_RULESET, columns: DEFAULT_RULESET.columns.slice(1) });
+
+  assert.ok(isSameRuleset(copy, DEFAULT_RULESET));
+  assert.ok(!isSameRuleset(edited, DEFAULT_RULESET));
+});
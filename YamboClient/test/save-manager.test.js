@@ -0,0 +1,75 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SaveManager } from '../src/services/save-manager.js';
+import { GameState } from '../src/services/game-state.js';
+import { DiceEngine } from '../src/services/dice-engine.js';
+
+// Saves live in localStorage, which Node does not have
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+beforeEach(() => store.clear());
+
+/**
+ * A game saved by a started save manager, one roll in
+ * @returns {{game: GameState, dice: DiceEngine, saves: SaveManager}}
+ */
+function startGame() {
+  const game = new GameState();
+  const dice = new DiceEngine({ seed: 9 });
+  const saves = new SaveManager(game, dice);
+  saves.start();
+  game.reset(9);
+  game.roll(dice.rollUnheld(game.diceValues, game.diceHeld));
+  return { game, dice, saves };
+}
+
+test('every change is autosaved and can be resumed, dice and all', () => {
+  const { game, dice } = startGame();
+  game.setHold(0, true);
+
+  const otherGame = new GameState();
+  const otherDice = new DiceEngine();
+  assert.ok(new SaveManager(otherGame, otherDice).resume());
+  assert.deepEqual(otherGame.toJSON(), game.toJSON());
+  assert.deepEqual(otherDice.rollAll(), dice.rollAll());
+});
+
+test('a game that has not started is not offered to resume', () => {
+  const { game, saves } = startGame();
+  game.reset();
+  assert.equal(saves.getAutosave(), null);
+});
+
+test('an autosave of the wrong shape is ignored and cleared', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  store.set('yambo-autosave', JSON.stringify({ version: 1, game: null }));
+
+  assert.equal(new SaveManager(new GameState(), new DiceEngine()).getAutosave(), null);
+  assert.ok(!store.has('yambo-autosave'));
+  assert.equal(warn.mock.callCount(), 1);
+  warn.mock.restore();
+});
+
+test('named saves are listed, loaded and deleted', () => {
+  const { game, saves } = startGame();
+  saves.saveSlot('before');
+  game.setScore('w', 'chancePlus', game.sheet.calculateScores(game.diceValues).chancePlus);
+  game.nextTurn();
+  saves.saveSlot('after');
+  store.set('yambo-saves', JSON.stringify({ ...JSON.parse(store.get('yambo-saves')), broken: 1 }));
+
+  assert.deepEqual(saves.listSlots().map(slot => slot.name).sort(), ['after', 'before']);
+  saves.loadSlot('before');
+  assert.equal(game.players[0].sheet.getScore('w', 'chancePlus'), null);
+  assert.equal(game.rollCount, 1);
+
+  saves.deleteSlot('before');
+  assert.ok(!saves.hasSlot('before'));
+  assert.throws(() => saves.loadSlot('before'), /No saved game named "before"/);
+});
@@ -0,0 +1,88 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TurnTimer } from '../src/services/turn-timer.js';
+import { GameState } from '../src/services/game-state.js';
+import { DiceEngine } from '../src/services/dice-engine.js';
+
+afterEach(() => mock.timers.reset());
+
+/**
+ * Time a two player game with a fake clock
+ * @param {Object} [options]
+ * @param {number} [options.seconds=15]
+ * @param {string} [options.policy='place']
+ * @returns {{game: GameState, timer: TurnTimer, events: Object[]}}
+ */
+function timeGame({ seconds = 15, policy = 'place' } = {}) {
+  mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const game = new GameState();
+  game.setPlayers([{ name: 'Ana' }, { name: 'Bo' }]);
+  const timer = new TurnTimer(game, new DiceEngine({ seed: 7 }));
+  const events = [];
+  ['tick', 'stop', 'expire'].forEach(type => timer.on(type, (e) => events.push({ type, ...e.detail })));
+
+  timer.seconds = seconds;
+  timer.policy = policy;
+  timer.start();
+  return { game, timer, events };
+}
+
+test('the clock counts a human turn down second by second', () => {
+  const { timer, events } = timeGame();
+  assert.equal(timer.remaining, 15);
+
+  for (let second = 0; second < 10; second++) mock.timers.tick(1_000);
+  assert.equal(timer.remaining, 5);
+  assert.equal(events.filter(e => e.type === 'tick').length, 11);
+  assert.ok(events.at(-1).warning);
+});
+
+test('when time runs out the dice are rolled and the best move handed over', () => {
+  const { game, timer, events } = timeGame();
+
+  mock.timers.tick(15_000);
+  const expire = events.find(e => e.type === 'expire');
+  assert.ok(expire);
+  assert.equal(expire.policy, 'place');
+  assert.ok(expire.move.rolled);
+  assert.equal(game.rollCount, 1);
+  assert.ok(!timer.isRunning);
+  assert.doesNotThrow(() => game.setScore(expire.move.column, expire.move.row, expire.move.score));
+});
+
+test('the scratch policy hands over a scratch', () => {
+  const { events } = timeGame({ policy: 'scratch' });
+
+  mock.timers.tick(15_000);
+  const { move } = events.find(e => e.type === 'expire');
+  assert.ok(move.scratch);
+  assert.equal(move.score, 0);
+});
+
+test('a new turn starts the clock over, undo does not', () => {
+  const { game, timer } = timeGame();
+  game.roll([6, 6, 6, 2, 1]);
+  game.setHold(0, true);
+  mock.timers.tick(8_000);
+
+  game.undo();
+  assert.equal(timer.remaining, 7);
+
+  game.setScore('w', 'sixes', 18);
+  game.nextTurn();
+  assert.equal(timer.remaining, 15);
+});
+
+test('practice games, computer turns and a timer set to 0 are not timed', () => {
+  const { game, timer } = timeGame();
+
+  game.practice = true;
+  assert.ok(!timer.isRunning);
+  game.practice = false;
+  assert.ok(timer.isRunning);
+
+  timer.seconds = 0;
+  assert.ok(!timer.isRunning);
+  assert.throws(() => { timer.policy = 'wait'; }, /Unknown timeout policy/);
+});